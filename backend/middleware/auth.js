@@ -1,44 +1,98 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/tokens');
+const { getRolePermissions } = require('../services/permissions');
+
+// Raised when a token can't be turned into a request user
+class AuthError extends Error {
+  constructor(message, status = 401, code = undefined) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Verify a bearer token and build the request user from the database
+const resolveUser = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Reject tokens whose session was logged out or revoked
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new AuthError('Session has expired or been revoked');
+  }
+
+  // Get user from database to ensure admin status is current
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw new AuthError('User not found');
+  }
+  if (user.isSuspended()) {
+    throw new AuthError(user.suspensionMessage(), 403, 'account_suspended');
+  }
+
+  // Add user from payload with current role and permissions
+  const role = user.role || (user.isAdmin ? 'admin' : 'user');
+  return {
+    id: user._id,
+    isAdmin: user.isAdmin,
+    role,
+    permissions: await getRolePermissions(role),
+    emailVerified: user.emailVerified,
+    sessionId: decoded.sid
+  };
+};
+
+const getToken = (req) => req.header('Authorization')?.replace('Bearer ', '');
 
 const auth = async (req, res, next) => {
   try {
     // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+    const token = getToken(req);
+
     if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'No token, authorization denied' 
+      return res.status(401).json({
+        success: false,
+        message: 'No token, authorization denied'
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database to ensure admin status is current
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
-    }
+    req.user = await resolveUser(token);
 
-    // Add user from payload with current admin status
-    req.user = {
-      id: user._id,
-      isAdmin: user.isAdmin
-    };
-    
     next();
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Auth middleware error:', error);
-    res.status(401).json({ 
-      success: false, 
-      message: 'Token is not valid' 
+    res.status(401).json({
+      success: false,
+      message: 'Token is not valid'
     });
   }
 };
 
-module.exports = auth; 
\ No newline at end of file
+// Like auth, but lets anonymous callers through without req.user
+auth.optional = async (req, res, next) => {
+  try {
+    const token = getToken(req);
+    if (token) {
+      req.user = await resolveUser(token);
+    }
+  } catch (error) {
+    // An invalid token is treated the same as no token
+    req.user = undefined;
+  }
+  next();
+};
+
+auth.resolveUser = resolveUser;
+auth.AuthError = AuthError;
+
+module.exports = auth;
@@ -0,0 +1,23 @@
+const { hasPermission } = require('../services/permissions');
+
+// Usage: router.get('/pending', [auth, requirePermission('products:read')], ...)
+// Must run after the auth middleware, which loads the user's permissions.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Missing permission: ${permission}`
+    });
+  }
+
+  next();
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,14 @@
+// Block unverified accounts when REQUIRE_VERIFIED_EMAIL_TO_SELL is "true".
+// Must run after the auth middleware.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_TO_SELL !== 'true' || req.user.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({ 
+    success: false, 
+    message: 'Please verify your email address before listing products' 
+  });
+};
+
+module.exports = requireVerifiedEmail;
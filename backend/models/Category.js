@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'enum'];
+
+// Categories that existed before the taxonomy was editable, created on
+// startup if missing so older listings keep a valid category
+const DEFAULT_CATEGORIES = [
+  {
+    slug: 'shoes',
+    name: 'Shoes',
+    attributes: [
+      { key: 'euSize', label: 'EU size', type: 'number', min: 15, max: 50 }
+    ]
+  },
+  {
+    slug: 'clothes',
+    name: 'Clothes',
+    attributes: [
+      { key: 'clothingSize', label: 'Size', type: 'enum', options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] }
+    ]
+  },
+  {
+    slug: 'accessories',
+    name: 'Accessories',
+    attributes: []
+  },
+  {
+    slug: 'electronics',
+    name: 'Electronics',
+    attributes: [
+      { key: 'brand', label: 'Brand', type: 'string' },
+      { key: 'screenSize', label: 'Screen size', type: 'number', unit: 'in', min: 0, max: 100 }
+    ]
+  },
+  {
+    slug: 'other',
+    name: 'Other',
+    attributes: []
+  }
+];
+
+// One field a listing in the category can (or must) fill in
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, 'Attribute keys must be letters, digits or _ and start with a letter']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    default: 'string'
+  },
+  // Allowed values of an enum attribute
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Shown next to numbers, e.g. "in"
+  unit: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  min: Number,
+  max: Number,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Whether search accepts a filter on it
+  filterable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stored on listings and used in URLs; can't change once created
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slugs must be lowercase letters, digits and dashes']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Every category above this one, root first, so a subtree is one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Attributes defined here; subcategories inherit them
+  attributes: [attributeSchema],
+  // Inactive categories take no new listings and are hidden from menus
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+categorySchema.path('attributes').validate(function (attributes) {
+  const keys = attributes.map(attribute => attribute.key);
+  return new Set(keys).size === keys.length;
+}, 'Attribute keys must be unique within a category');
+
+categorySchema.path('attributes').validate(function (attributes) {
+  return attributes.every(attribute => attribute.type !== 'enum' || attribute.options.length > 0);
+}, 'Enum attributes need at least one option');
+
+// Create the built-in categories that don't exist yet
+categorySchema.statics.seedDefaults = async function() {
+  for (const category of DEFAULT_CATEGORIES) {
+    await this.updateOne(
+      { slug: category.slug },
+      { $setOnInsert: category },
+      { upsert: true }
+    );
+  }
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+Category.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = Category;
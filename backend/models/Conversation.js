@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A thread between a buyer and the seller about one product
+const conversationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    type: String,
+    default: ''
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages each side hasn't read yet
+  unread: {
+    buyer: {
+      type: Number,
+      default: 0
+    },
+    seller: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One conversation per buyer per product
+conversationSchema.index({ product: 1, buyer: 1 }, { unique: true });
+conversationSchema.index({ buyer: 1, lastMessageAt: -1 });
+conversationSchema.index({ seller: 1, lastMessageAt: -1 });
+
+// Which side of the conversation a user is on, or null if not a participant
+conversationSchema.methods.sideOf = function(userId) {
+  const id = userId.toString();
+  if (this.buyer.toString() === id) return 'buyer';
+  if (this.seller.toString() === id) return 'seller';
+  return null;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A listing a user is watching. Kept apart from the cart, which is for
+// things the user means to buy.
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+favoriteSchema.index({ user: 1, product: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1, _id: -1 });
+favoriteSchema.index({ product: 1 });
+
+// Number of watchers per product id, for a seller's own listings
+favoriteSchema.statics.countsFor = async function (productIds) {
+  const counts = await this.aggregate([
+    { $match: { product: { $in: productIds } } },
+    { $group: { _id: '$product', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Most recent runs kept on each job
+const HISTORY_LIMIT = 20;
+
+const runSchema = new mongoose.Schema({
+  outcome: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  // What the handler returned, e.g. how many records it processed
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  attempt: Number,
+  instance: String
+}, { _id: false });
+
+// State of one recurring background job, shared by every server instance.
+// An instance runs the job only after claiming its lock.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  intervalMs: {
+    type: Number,
+    required: true
+  },
+  // idle: waiting for nextRunAt; retrying: the last attempt failed and
+  // another is scheduled; failed: every attempt of the last run failed
+  status: {
+    type: String,
+    enum: ['idle', 'running', 'retrying', 'failed'],
+    default: 'idle'
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  // Failed attempts of the current run
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Instance holding the lock, and when the lock lapses if it dies mid-run
+  lockedBy: String,
+  lockedUntil: Date,
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastSucceededAt: Date,
+  lastError: String,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  history: [runSchema]
+}, {
+  timestamps: true
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+Job.HISTORY_LIMIT = HISTORY_LIMIT;
+
+module.exports = Job;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const REJECTION_REASONS = [
+  'prohibited_item',
+  'poor_images',
+  'inaccurate_description',
+  'pricing',
+  'duplicate',
+  'other'
+];
+
+// The part of a product worth recording before and after a transition
+const stateSchema = new mongoose.Schema({
+  status: String,
+  isActive: Boolean,
+  name: String,
+  price: Number,
+  category: String
+}, { _id: false });
+
+// Audit trail entry for a product status transition
+const moderationLogSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approve', 'reject', 'resubmit', 'requeue', 'sell', 'restock', 'refund'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REJECTION_REASONS
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  before: stateSchema,
+  after: stateSchema,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationLogSchema.index({ product: 1, at: -1 });
+moderationLogSchema.index({ actor: 1, at: -1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+ModerationLog.REJECTION_REASONS = REJECTION_REASONS;
+
+module.exports = ModerationLog;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'product_approved',
+      'product_rejected',
+      'product_sold',
+      'product_hidden',
+      'order_cancelled',
+      'listing_expiring',
+      'listing_expired',
+      'cart_item_unavailable',
+      'saved_search_match',
+      'saved_search_digest',
+      'favorite_price_drop',
+      'favorite_sold',
+      'favorite_unavailable',
+      'offer_received',
+      'offer_countered',
+      'offer_accepted',
+      'offer_rejected',
+      'offer_withdrawn',
+      'offer_expired',
+      'offer_cancelled',
+      'review_received',
+      'review_reply'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Ids the client needs to link the notification, e.g. { product, order }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
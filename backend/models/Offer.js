@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// One step in a negotiation. System steps (expiry, sale) have no `by`.
+const offerEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['offer', 'counter', 'accept', 'reject', 'withdraw', 'expire', 'complete', 'cancel'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: Number,
+  note: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A buyer's offer on a listing and the back-and-forth that follows.
+//   open       waiting on `awaiting` to accept, reject or counter
+//   accepted   the item is reserved for the buyer at `amount` until reservedUntil
+//   completed  the buyer checked out at the agreed price
+//   rejected, withdrawn, expired, cancelled (the item went elsewhere)
+const offerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The amount currently on the table, or the agreed price once accepted
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // List price when the offer was made
+  listPrice: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'completed', 'rejected', 'withdrawn', 'expired', 'cancelled'],
+    default: 'open'
+  },
+  awaiting: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    default: 'seller'
+  },
+  // Deadline for the awaited side to respond while open
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  reservedUntil: {
+    type: Date
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  history: [offerEventSchema]
+}, {
+  timestamps: true,
+  // Both sides act on the same offer; a stale save must not win
+  optimisticConcurrency: true
+});
+
+offerSchema.index({ product: 1, createdAt: -1 });
+offerSchema.index({ buyer: 1, createdAt: -1, _id: -1 });
+offerSchema.index({ seller: 1, createdAt: -1, _id: -1 });
+offerSchema.index({ product: 1, buyer: 1, status: 1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+offerSchema.index({ status: 1, reservedUntil: 1 });
+
+// 'buyer', 'seller' or null for someone outside the negotiation
+offerSchema.methods.sideOf = function (userId) {
+  const id = userId.toString();
+  if (this.buyer.toString() === id) return 'buyer';
+  if (this.seller.toString() === id) return 'seller';
+  return null;
+};
+
+offerSchema.methods.record = function (action, { by, amount, note } = {}) {
+  this.history.push({ action, by, amount, note: note?.trim() || undefined });
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
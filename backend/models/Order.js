@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { resolveUrl } = require('../services/storage');
+
+// Snapshot of a product at the time of purchase. Later edits to the
+// product itself must not change what the buyer actually paid for.
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  images: [{
+    type: String
+  }],
+  category: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sellerName: {
+    type: String,
+    default: ''
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'An order needs at least one item']
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  shippingAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  status: {
+    type: String,
+    enum: ['placed', 'shipped', 'completed', 'cancelled'],
+    default: 'placed'
+  },
+  placedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ buyer: 1, createdAt: -1 });
+orderSchema.index({ seller: 1, createdAt: -1 });
+
+// Generate a human readable order number, e.g. ORD-20250501-7F3A9C
+orderSchema.pre('validate', function(next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    this.orderNumber = `ORD-${date}-${suffix}`;
+  }
+  next();
+});
+
+// Build an order item snapshot from a product document. `price` is what
+// the buyer paid, which may be an agreed offer instead of the list price.
+orderSchema.statics.snapshotItem = function(product, quantity = 1, price = product.price) {
+  return {
+    product: product._id,
+    name: product.name,
+    price,
+    images: product.images,
+    category: product.category,
+    quantity
+  };
+};
+
+// Snapshot images are storage keys; clients get loadable URLs
+orderSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    for (const item of ret.items || []) {
+      item.images = (item.images || []).map(resolveUrl);
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'declined', 'failed', 'refunded', 'refund_failed'];
+
+// Statuses each status may move to. Declined, failed and refunded payments
+// are final; a captured one can still be refunded or fail afterwards, e.g.
+// on a chargeback. refund_failed means the buyer was charged and a refund
+// we owe them didn't go through; it waits for an admin to retry it.
+const TRANSITIONS = {
+  pending: ['authorized', 'declined', 'failed'],
+  authorized: ['captured', 'failed'],
+  captured: ['refunded', 'failed', 'refund_failed'],
+  declined: [],
+  failed: [],
+  refunded: [],
+  refund_failed: ['refunded']
+};
+
+const transitionSchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['checkout', 'webhook'],
+    default: 'checkout'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A payment intent: one charge covering every order of a checkout
+const paymentSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerRef: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+  history: [transitionSchema]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ status: 1, updatedAt: -1 });
+
+paymentSchema.methods.canTransition = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Move to a new status and record the transition. Throws for a move the
+// table above doesn't allow.
+paymentSchema.methods.transition = function(status, message = '', source = 'checkout') {
+  if (!this.canTransition(status)) {
+    throw new Error(`Cannot move a payment from "${this.status}" to "${status}"`);
+  }
+  this.history.push({ from: this.status, to: status, message, source });
+  this.status = status;
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+Payment.TRANSITIONS = TRANSITIONS;
+
+module.exports = Payment;
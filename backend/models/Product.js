@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { resolveUrl } = require('../services/storage');
+const { coarsenPoint } = require('../services/geocoding');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -11,15 +13,43 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Units still for sale; the listing is marked sold when this reaches zero
+  stock: {
+    type: Number,
+    default: 1,
+    min: 0,
+    validate: [Number.isInteger, 'Stock must be a whole number']
+  },
+  // Units sold so far, across every order
+  unitsSold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Full size image paths, in display order (first one is the cover)
   images: [{
     type: String,
     required: true
   }],
+  // Resized WebP variants, one entry per image in the same order as images
+  imageVariants: [{
+    _id: false,
+    thumbnail: String,
+    medium: String,
+    full: String
+  }],
+  // Slug of a Category; checked against the taxonomy when a listing is saved
   category: {
     type: String,
-    enum: ['shoes', 'clothes', 'accessories', 'electronics', 'other'],
     default: 'other'
   },
+  // Values for the category's attribute schema, e.g. { euSize: 42 }
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Free text from before categories had attributes
   size: {
     type: String,
     trim: true,
@@ -30,15 +60,42 @@ const productSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Display label for the pickup area, e.g. "Gulberg, Lahore"
   location: {
     type: String,
     trim: true,
     default: ''
   },
+  // GeoJSON point for radius search, set from the seller's coordinates or
+  // geocoded from the label. Left unset when neither is available.
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // `geo` rounded the way clients see it. Radius search runs against this,
+  // so repeated searches with tiny radii can't pin down the exact point.
+  // Kept in step with `geo` on save.
+  publicGeo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  // Optional; hidden from anonymous visitors, buyers use messaging instead
   contactNumber: {
     type: String,
-    required: true,
-    trim: true
+    trim: true,
+    default: ''
   },
   description: {
     type: String,
@@ -54,11 +111,47 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when enough users reported the listing; it stays inactive until a
+  // moderator reactivates it
+  hiddenByReportsAt: {
+    type: Date
+  },
+  // Set while the seller's account is suspended
+  hiddenBySuspensionAt: {
+    type: Date
+  },
+  // When an approved listing comes down unless the seller renews it
+  expiresAt: {
+    type: Date
+  },
+  expiryReminderSentAt: {
+    type: Date
+  },
+  // Set when the listing was taken down for expiring; renewing clears it
+  expiredAt: {
+    type: Date
+  },
+  // Latest moderation decision, shown to the seller
+  moderation: {
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    reason: String,
+    note: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // The purchase that sold the last unit. Earlier units only appear on
+  // their orders.
   buyer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -66,15 +159,123 @@ const productSchema = new mongoose.Schema({
   soldAt: {
     type: Date
   },
-  shippingAddress: {
-    street: String,
-    city: String,
-    state: String,
-    zipCode: String,
-    country: String
+  // Purchase record; shipping details and the price paid live on the order
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // One unit held for a buyer at an agreed price after an offer is accepted
+  reservation: {
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer'
+    },
+    price: Number,
+    until: Date
   }
 }, {
   timestamps: true
 });
 
+// Full-text search, name matches rank above description matches
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'product_text', weights: { name: 10, description: 2 } }
+);
+// Keyset pagination: each listing filter followed by its sort order
+productSchema.index({ status: 1, isActive: 1, createdAt: -1, _id: -1 });
+productSchema.index({ status: 1, isActive: 1, price: 1, _id: 1 });
+productSchema.index({ status: 1, createdAt: 1, _id: 1 });
+productSchema.index({ seller: 1, createdAt: -1, _id: -1 });
+// "Near me" search, on the coarsened point
+productSchema.index({ publicGeo: '2dsphere' });
+// Expiry reminders and sweeps
+productSchema.index({ status: 1, isActive: 1, expiresAt: 1 });
+// Attribute filters; keys differ per category
+productSchema.index({ 'attributes.$**': 1 });
+
+// Images are stored as storage keys; clients always get loadable URLs
+const withImageUrls = (product) => {
+  if (product.images) {
+    product.images = product.images.map(resolveUrl);
+  }
+  if (product.imageVariants) {
+    product.imageVariants = product.imageVariants.map(variants => ({
+      thumbnail: resolveUrl(variants.thumbnail),
+      medium: resolveUrl(variants.medium),
+      full: resolveUrl(variants.full)
+    }));
+  }
+  return product;
+};
+
+// What clients get for a product: loadable image URLs, a coarsened point
+// and, instead of the private reservation terms, when a hold ends
+const toClient = (product) => {
+  withImageUrls(product);
+  if (product.geo) {
+    product.geo = coarsenPoint(product.geo);
+  }
+  delete product.publicGeo;
+  if (product.reservation) {
+    if (product.reservation.until > new Date()) {
+      product.reservedUntil = product.reservation.until;
+    }
+    delete product.reservation;
+  }
+  return product;
+};
+
+productSchema.set('toJSON', {
+  transform: (doc, ret) => toClient(ret)
+});
+
+productSchema.statics.toClient = toClient;
+
+productSchema.pre('save', function(next) {
+  if (this.isModified('geo')) {
+    this.publicGeo = this.geo?.coordinates?.length ? coarsenPoint(this.geo) : undefined;
+  }
+  next();
+});
+
+// Give listings with a point from before publicGeo existed their coarsened
+// one. Returns how many were updated.
+productSchema.statics.backfillPublicGeo = async function() {
+  const cursor = this.find({ 'geo.coordinates': { $exists: true }, publicGeo: { $exists: false } })
+    .select('geo')
+    .lean()
+    .cursor();
+  let updated = 0;
+  for await (const product of cursor) {
+    await this.updateOne({ _id: product._id }, { $set: { publicGeo: coarsenPoint(product.geo) } });
+    updated++;
+  }
+  return updated;
+};
+
+// Give listings created before stock was tracked their single unit, or
+// none if it was already sold
+productSchema.statics.backfillStock = async function() {
+  const sold = await this.updateMany(
+    { stock: { $exists: false }, status: 'sold' },
+    { $set: { stock: 0, unitsSold: 1 } }
+  );
+  const unsold = await this.updateMany(
+    { stock: { $exists: false } },
+    { $set: { stock: 1, unitsSold: 0 } }
+  );
+  return sold.modifiedCount + unsold.modifiedCount;
+};
+
+// The buyer an unexpired reservation holds this product for, or null
+productSchema.methods.activeReservation = function (now = new Date()) {
+  const reservation = this.reservation;
+  return reservation?.buyer && reservation.until > now ? reservation : null;
+};
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { resolveUrl } = require('../services/storage');
+
+const REPORT_REASONS = [
+  'scam',
+  'counterfeit',
+  'offensive',
+  'prohibited_item',
+  'harassment',
+  'spam',
+  'other'
+];
+
+// A user's complaint about a listing or another user
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Product', 'User'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  // Screenshots, stored like listing images
+  evidence: [{
+    _id: false,
+    thumbnail: String,
+    medium: String,
+    full: String
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolution: {
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// A reporter has at most one open report per target
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+
+reportSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.evidence = (ret.evidence || []).map(variants => ({
+      thumbnail: resolveUrl(variants.thumbnail),
+      medium: resolveUrl(variants.medium),
+      full: resolveUrl(variants.full)
+    }));
+    return ret;
+  }
+});
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = Report;
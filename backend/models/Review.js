@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A buyer's rating of the seller for one purchased product
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: [Number.isInteger, 'Rating must be a whole number from 1 to 5']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  // The seller's one public answer
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    at: Date
+  },
+  // Removed reviews stay for the record but are hidden and not counted
+  status: {
+    type: String,
+    enum: ['published', 'removed'],
+    default: 'published'
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per purchase
+reviewSchema.index({ order: 1, product: 1 }, { unique: true });
+reviewSchema.index({ seller: 1, status: 1, createdAt: -1, _id: -1 });
+reviewSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Every permission the API checks. "*" grants all of them.
+const PERMISSIONS = [
+  'products:read',
+  'products:moderate',
+  'products:manage',
+  'orders:read',
+  'users:read',
+  'users:delete',
+  'roles:assign',
+  'stats:read',
+  'moderation:audit',
+  'reviews:moderate',
+  'reports:review',
+  'users:suspend',
+  'categories:manage',
+  'jobs:manage',
+  'payments:refund'
+];
+
+// Built-in roles, created on startup if missing
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: ['*']
+  },
+  {
+    name: 'moderator',
+    description: 'Reviews pending listings',
+    permissions: ['products:read', 'products:moderate', 'reviews:moderate', 'reports:review']
+  },
+  {
+    name: 'support',
+    description: 'Read-only access for customer support',
+    permissions: ['products:read', 'orders:read', 'users:read']
+  },
+  {
+    name: 'user',
+    description: 'Regular buyer or seller',
+    permissions: []
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    validate: [
+      permission => permission === '*' || PERMISSIONS.includes(permission),
+      'Unknown permission'
+    ]
+  }],
+  builtIn: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create the built-in roles that don't exist yet
+roleSchema.statics.seedDefaults = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, builtIn: true } },
+      { upsert: true }
+    );
+  }
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+Role.PERMISSIONS = PERMISSIONS;
+Role.DEFAULT_ROLES = DEFAULT_ROLES;
+
+module.exports = Role;
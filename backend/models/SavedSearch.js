@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A search a user wants to be alerted about. Filters use the same names as
+// the /api/products/search query params so the client can re-run it.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  filters: {
+    query: { type: String, trim: true, default: '' },
+    category: String,
+    // Attribute filters of the category, as accepted by search
+    attributes: mongoose.Schema.Types.Mixed,
+    size: String,
+    color: String,
+    location: String,
+    minPrice: Number,
+    maxPrice: Number,
+    lat: Number,
+    lng: Number,
+    radiusKm: Number
+  },
+  // instant: one notification per match; daily: matches are collected and
+  // sent together once a day
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily'],
+    default: 'instant'
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  // Matches waiting for the next daily digest
+  pendingMatches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  lastDigestAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+// Candidates for a newly approved product
+savedSearchSchema.index({ paused: 1, 'filters.category': 1 });
+savedSearchSchema.index({ frequency: 1, paused: 1, lastDigestAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
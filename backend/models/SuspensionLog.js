@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Audit trail entry for an account suspension, appeal or reinstatement
+const suspensionLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Empty when the system acted, e.g. a temporary suspension ran out
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['suspend', 'unsuspend', 'expire', 'appeal'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // End of a temporary suspension; empty for permanent ones
+  until: {
+    type: Date
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Listings hidden or restored by this action
+  listings: {
+    type: Number,
+    default: 0
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+suspensionLogSchema.index({ user: 1, at: -1 });
+suspensionLogSchema.index({ actor: 1, at: -1 });
+
+module.exports = mongoose.model('SuspensionLog', suspensionLogSchema);
@@ -30,11 +30,42 @@ try {
       type: Boolean,
       default: false
     },
+    // Name of a Role document; isAdmin is kept in sync for older clients
+    role: {
+      type: String,
+      default: 'user',
+      trim: true,
+      lowercase: true
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date
+    },
     createdAt: {
       type: Date,
       default: Date.now
     },
     products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    // Users who may not message this user
+    blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Set while the account is suspended; until is empty for a permanent ban
+    suspension: {
+      reason: String,
+      until: Date,
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      suspendedAt: Date,
+      // The user's side of the story, sent from the login screen
+      appealNote: String,
+      appealedAt: Date
+    },
+    // Seller rating from published reviews, kept up to date by the review service
+    rating: {
+      average: { type: Number, default: 0 },
+      count: { type: Number, default: 0 }
+    },
   }, { 
     collection: 'users',
     timestamps: true 
@@ -63,6 +94,24 @@ try {
     }
   };
 
+  // Whether a suspension is in force right now
+  UserSchema.methods.isSuspended = function (now = new Date()) {
+    const suspension = this.suspension;
+    return Boolean(suspension?.suspendedAt) && (!suspension.until || suspension.until > now);
+  };
+
+  // A temporary suspension that ran out but hasn't been lifted yet
+  UserSchema.methods.suspensionExpired = function (now = new Date()) {
+    return Boolean(this.suspension?.suspendedAt) && !this.isSuspended(now);
+  };
+
+  // What a suspended user is told when they try to sign in
+  UserSchema.methods.suspensionMessage = function () {
+    const { reason, until } = this.suspension;
+    const period = until ? `until ${until.toISOString()}` : 'permanently';
+    return `Your account is suspended ${period}${reason ? `: ${reason}` : ''}`;
+  };
+
   // Static method to find user by credentials
   UserSchema.statics.findByCredentials = async function(email, password) {
     const user = await this.findOne({ email });
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a one-time token (email verification, password
+// reset). The token itself is a signed JWT; this record makes it single use.
+const userTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_email', 'reset_password'],
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
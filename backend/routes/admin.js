@@ -0,0 +1,231 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Favorite = require('../models/Favorite');
+const SavedSearch = require('../models/SavedSearch');
+const ModerationLog = require('../models/ModerationLog');
+const SuspensionLog = require('../models/SuspensionLog');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { revokeAllSessions } = require('../services/tokens');
+const { suspendUser, unsuspendUser } = require('../services/suspensions');
+
+const router = express.Router();
+
+// List roles and their permissions
+router.get('/roles', [auth, requirePermission('users:read')], async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    res.json({ success: true, roles, permissions: Role.PERMISSIONS });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ success: false, message: 'Error fetching roles' });
+  }
+});
+
+// List users, optionally filtered by role
+router.get('/users', [auth, requirePermission('users:read')], async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    // ?suspended=true lists suspended accounts, appeals included
+    if (req.query.suspended === 'true') {
+      filter['suspension.suspendedAt'] = { $exists: true };
+    }
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ success: false, message: 'Error fetching users' });
+  }
+});
+
+// Assign a role to a user
+router.put('/users/:id/role', [auth, requirePermission('roles:assign')], async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const roleDoc = await Role.findOne({ name: String(role || '').toLowerCase() });
+    if (!roleDoc) {
+      return res.status(400).json({ success: false, message: 'Invalid role' });
+    }
+
+    // Don't let an admin lock themselves out of role management
+    if (req.params.id === req.user.id.toString() && !roleDoc.permissions.includes('*')
+      && !roleDoc.permissions.includes('roles:assign')) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own role management access' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role: roleDoc.name, isAdmin: roleDoc.name === 'admin' } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, user, message: `Role changed to ${roleDoc.name}` });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    res.status(500).json({ success: false, message: 'Failed to assign role' });
+  }
+});
+
+// Delete a user account
+router.delete('/users/:id', [auth, requirePermission('users:delete')], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Orders keep their snapshot; unsold listings are taken down
+    await Product.updateMany(
+      { seller: user._id, status: { $ne: 'sold' } },
+      { $set: { isActive: false } }
+    );
+    await Cart.deleteOne({ user: user._id });
+    await Favorite.deleteMany({ user: user._id });
+    await SavedSearch.deleteMany({ user: user._id });
+    await revokeAllSessions(user._id, 'user_deleted');
+
+    res.json({ success: true, message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete user' });
+  }
+});
+
+// Suspend a user: { reason, until } or { reason, durationHours }, or
+// permanently when neither is given
+router.post('/users/:id/suspend', [auth, requirePermission('users:suspend')], async (req, res) => {
+  try {
+    const { reason, until, durationHours } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot suspend your own account' });
+    }
+    if (!reason?.trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    let end = null;
+    if (until !== undefined && until !== null && until !== '') {
+      end = new Date(until);
+    } else if (durationHours !== undefined && durationHours !== null && durationHours !== '') {
+      end = new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000);
+    }
+    if (end && (Number.isNaN(end.getTime()) || end <= new Date())) {
+      return res.status(400).json({ success: false, message: 'The suspension must end in the future' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.isSuspended()) {
+      return res.status(400).json({ success: false, message: 'This user is already suspended' });
+    }
+
+    const { listings } = await suspendUser({ user, actor: req.user.id, reason: reason.trim(), until: end });
+
+    res.json({
+      success: true,
+      user,
+      hiddenListings: listings,
+      message: end ? `User suspended until ${end.toISOString()}` : 'User suspended permanently'
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({ success: false, message: 'Failed to suspend user' });
+  }
+});
+
+// Lift a suspension and restore the user's listings: { note }
+router.post('/users/:id/unsuspend', [auth, requirePermission('users:suspend')], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.suspension?.suspendedAt) {
+      return res.status(400).json({ success: false, message: 'This user is not suspended' });
+    }
+
+    const { listings } = await unsuspendUser({ user, actor: req.user.id, note: req.body.note });
+
+    res.json({ success: true, user, restoredListings: listings, message: 'Suspension lifted' });
+  } catch (error) {
+    console.error('Error lifting suspension:', error);
+    res.status(500).json({ success: false, message: 'Failed to lift suspension' });
+  }
+});
+
+// Every suspension, appeal and reinstatement of a user, newest first
+router.get('/users/:id/suspensions', [auth, requirePermission('users:suspend')], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const history = await SuspensionLog.find({ user: req.params.id })
+      .populate('actor', 'name email')
+      .sort({ at: -1 });
+
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error fetching suspension history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch suspension history' });
+  }
+});
+
+// Moderation history of a single moderator
+router.get('/moderation/moderators/:id', [auth, requirePermission('moderation:audit')], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const history = await ModerationLog.find({
+      actor: req.params.id,
+      action: { $in: ['approve', 'reject'] }
+    })
+      .populate('product', 'name status seller')
+      .sort({ at: -1 });
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error fetching moderator history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch moderation history' });
+  }
+});
+
+module.exports = router;
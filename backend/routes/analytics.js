@@ -0,0 +1,97 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const analytics = require('../services/analytics');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Each view loads its data and flattens it into CSV rows
+const VIEWS = {
+  users: {
+    load: analytics.newUsers,
+    columns: ['period', 'count']
+  },
+  listings: {
+    load: analytics.newListings,
+    columns: ['period', 'count']
+  },
+  'listing-breakdown': {
+    load: analytics.listingBreakdown,
+    columns: ['dimension', 'value', 'count'],
+    rows: ({ byStatus, byCategory }) => [
+      ...byStatus.map(({ status, count }) => ({ dimension: 'status', value: status, count })),
+      ...byCategory.map(({ category, count }) => ({ dimension: 'category', value: category, count }))
+    ]
+  },
+  sales: {
+    load: analytics.sales,
+    columns: ['period', 'orders', 'units', 'grossValue']
+  },
+  'median-times': {
+    load: analytics.medianTimes,
+    columns: ['metric', 'medianHours', 'count'],
+    rows: times => Object.entries(times).map(([metric, values]) => ({ metric, ...values }))
+  },
+  'top-sellers': {
+    load: (range, query) => {
+      const limit = parseInt(query.limit, 10);
+      return analytics.topSellers(range, Number.isInteger(limit) && limit > 0 ? Math.min(limit, 100) : 10);
+    },
+    columns: ['seller', 'name', 'email', 'orders', 'units', 'grossValue']
+  }
+};
+
+const sendError = (res, error, message) => {
+  if (error instanceof analytics.AnalyticsError) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+// Every view at once for the dashboard: ?from, ?to, ?interval (day or week)
+router.get('/', [auth, requirePermission('stats:read')], async (req, res) => {
+  try {
+    const range = analytics.parseRange(req.query);
+    const names = Object.keys(VIEWS);
+    const results = await Promise.all(names.map(name => VIEWS[name].load(range, req.query)));
+
+    res.json({
+      success: true,
+      range,
+      ...Object.fromEntries(names.map((name, i) => [name, results[i]]))
+    });
+  } catch (error) {
+    sendError(res, error, 'Error loading analytics');
+  }
+});
+
+// One view, as JSON or as a CSV download with ?format=csv
+router.get('/:view', [auth, requirePermission('stats:read')], async (req, res) => {
+  try {
+    const view = VIEWS[req.params.view];
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown view, expected one of: ${Object.keys(VIEWS).join(', ')}`
+      });
+    }
+
+    const range = analytics.parseRange(req.query);
+    const data = await view.load(range, req.query);
+
+    if (req.query.format === 'csv') {
+      const day = date => date.toISOString().slice(0, 10);
+      res.attachment(`${req.params.view}-${day(range.from)}-${day(range.to)}.csv`);
+      res.type('text/csv');
+      return res.send(toCsv(view.rows ? view.rows(data) : data, view.columns));
+    }
+
+    res.json({ success: true, range, data });
+  } catch (error) {
+    sendError(res, error, 'Error loading analytics');
+  }
+});
+
+module.exports = router;
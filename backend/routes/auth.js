@@ -1,10 +1,20 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const verifyToken = require('../middleware/verifytoken');
 const auth = require('../middleware/auth');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const {
+  TokenError,
+  consumeOneTimeToken,
+  revokeOneTimeTokens,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/tokens');
+const { unsuspendUser, recordAppeal } = require('../services/suspensions');
 
 const router = express.Router();
 
@@ -31,24 +41,37 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Create JWT token
-    const payload = {
-      id: user._id,
-      isAdmin: user.isAdmin
-    };
+    // Suspended accounts can't sign in; a lapsed temporary suspension is lifted here
+    if (user.isSuspended()) {
+      return res.status(403).json({
+        success: false,
+        code: 'account_suspended',
+        message: user.suspensionMessage(),
+        suspension: {
+          reason: user.suspension.reason,
+          until: user.suspension.until || null,
+          appealedAt: user.suspension.appealedAt || null
+        }
+      });
+    }
+    if (user.suspensionExpired()) {
+      await unsuspendUser({ user });
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '1d'
-    });
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -60,6 +83,31 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Appeal a suspension. The user can't sign in, so the request carries their
+// credentials: { email, password, note }
+router.post('/appeal', async (req, res) => {
+  try {
+    const { email, password, note } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(400).json({ success: false, message: 'Invalid credentials' });
+    }
+    if (!user.isSuspended()) {
+      return res.status(400).json({ success: false, message: 'This account is not suspended' });
+    }
+    if (!note?.trim()) {
+      return res.status(400).json({ success: false, message: 'Please explain why the suspension should be lifted' });
+    }
+
+    await recordAppeal(user, note.slice(0, 2000));
+    res.json({ success: true, message: 'Your appeal has been sent to the moderators' });
+  } catch (error) {
+    console.error('Appeal error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Admin registration
 router.post('/register-admin', async (req, res) => {
   try {
@@ -87,26 +135,29 @@ router.post('/register-admin', async (req, res) => {
       name,
       email,
       password,
-      isAdmin: true
+      isAdmin: true,
+      role: 'admin'
     });
 
     await user.save();
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id, isAdmin: true },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // A failing mail server shouldn't block sign up; the user can ask again
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -141,24 +192,23 @@ router.post('/register', async (req, res) => {
     // Save user
     await user.save();
 
-    // Create JWT token
-    const payload = {
-      id: user._id,
-      isAdmin: user.isAdmin
-    };
+    // A failing mail server shouldn't block sign up; the user can ask again
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '1d'
-    });
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -196,4 +246,156 @@ router.get('/verify', auth, async (req, res) => {
   }
 });
 
+// Send a new email verification link
+router.post('/verify-email/request', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    await revokeOneTimeTokens(user._id, 'verify_email');
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Verification request error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const userId = await consumeOneTimeToken(req.body.token, 'verify_email');
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Start a password reset. Always answers the same way so the endpoint
+// can't be used to find out which emails are registered.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = email ? await User.findOne({ email: String(email).toLowerCase().trim() }) : null;
+
+    if (user) {
+      await revokeOneTimeTokens(user._id, 'reset_password');
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const userId = await consumeOneTimeToken(token, 'reset_password');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'User not found' });
+    }
+
+    // Password is hashed by the pre-save middleware
+    user.password = password;
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Any other outstanding links and every existing session stop working
+    await revokeOneTimeTokens(user._id, 'reset_password');
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.json({ success: true, message: 'Password has been reset, please log in' });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        isAdmin: user.isAdmin,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'logout');
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Log out of every session (all devices)
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, 'logout_all');
+    res.json({ success: true, message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Cart = require('../models/Cart');
+const Product = require('../models/Product');
 const auth = require('../middleware/auth');
+const { checkoutProducts, unavailableReason, CheckoutError, PaymentError } = require('../services/checkout');
+
+const CART_PRODUCT_FIELDS = 'name price stock images description category';
+
+// Check that the user can buy `quantity` units of a product. Sends the
+// error response and returns false when they can't.
+const checkQuantity = async (req, res, productId, quantity) => {
+  const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+  const problem = unavailableReason(product, req.user.id, quantity);
+  if (problem) {
+    res.status(problem.reason === 'not_found' ? 404 : 400).json({
+      success: false,
+      message: problem.message,
+      reason: problem.reason
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendCart = async (res, cart) => {
+  const populatedCart = await Cart.findById(cart._id)
+    .populate('items.product', CART_PRODUCT_FIELDS);
+  res.json({ success: true, items: populatedCart.items });
+};
 
 // Get user's cart
 router.get('/', auth, async (req, res) => {
   try {
     const cart = await Cart.findOne({ user: req.user.id })
-      .populate('items.product', 'name price images description category');
+      .populate('items.product', CART_PRODUCT_FIELDS);
     
     if (!cart) {
       return res.json({ success: true, items: [] });
@@ -20,10 +47,12 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Add item to cart
+// Add item to cart: { productId, quantity }. Adding a product already in
+// the cart adds to its quantity, up to the units in stock.
 router.post('/add', auth, async (req, res) => {
   try {
     const { productId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
     
     if (!productId) {
       return res.status(400).json({ success: false, message: 'Product ID is required' });
@@ -37,25 +66,45 @@ router.post('/add', auth, async (req, res) => {
 
     // Check if product already in cart
     const existingItem = cart.items.find(item => item.product.toString() === productId);
+    const total = (existingItem ? existingItem.quantity : 0) + quantity;
+    if (!await checkQuantity(req, res, productId, total)) return;
     
     if (existingItem) {
-      existingItem.quantity += 1;
+      existingItem.quantity = total;
     } else {
-      cart.items.push({ product: productId });
+      cart.items.push({ product: productId, quantity });
     }
 
     await cart.save();
-    
-    const populatedCart = await Cart.findById(cart._id)
-      .populate('items.product', 'name price images description category');
-    
-    res.json({ success: true, items: populatedCart.items });
+    await sendCart(res, cart);
   } catch (error) {
     console.error('Error adding to cart:', error);
     res.status(500).json({ success: false, message: 'Error adding to cart' });
   }
 });
 
+// Change how many units of a product are in the cart: { quantity }
+router.put('/update/:productId', auth, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const quantity = Number(req.body.quantity);
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    const item = cart?.items.find(entry => entry.product.toString() === productId);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not in cart' });
+    }
+    if (!await checkQuantity(req, res, productId, quantity)) return;
+
+    item.quantity = quantity;
+    await cart.save();
+    await sendCart(res, cart);
+  } catch (error) {
+    console.error('Error updating cart:', error);
+    res.status(500).json({ success: false, message: 'Error updating cart' });
+  }
+});
+
 // Remove item from cart
 router.delete('/remove/:productId', auth, async (req, res) => {
   try {
@@ -69,11 +118,7 @@ router.delete('/remove/:productId', auth, async (req, res) => {
 
     cart.items = cart.items.filter(item => item.product.toString() !== productId);
     await cart.save();
-    
-    const populatedCart = await Cart.findById(cart._id)
-      .populate('items.product', 'name price images description category');
-    
-    res.json({ success: true, items: populatedCart.items });
+    await sendCart(res, cart);
   } catch (error) {
     console.error('Error removing from cart:', error);
     res.status(500).json({ success: false, message: 'Error removing from cart' });
@@ -96,4 +141,51 @@ router.delete('/clear', auth, async (req, res) => {
   }
 });
 
+// Checkout every item in the cart, one order per seller
+router.post('/checkout', auth, async (req, res) => {
+  try {
+    const { shippingAddress, paymentToken } = req.body;
+
+    if (!paymentToken) {
+      return res.status(400).json({ success: false, message: 'Payment token is required' });
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Your cart is empty' });
+    }
+
+    const { orders, payment } = await checkoutProducts({
+      buyerId: req.user.id,
+      items: cart.items.map(item => ({ product: item.product, quantity: item.quantity })),
+      shippingAddress,
+      paymentToken,
+      clearFromCart: true
+    });
+
+    res.json({
+      success: true,
+      orders,
+      payment,
+      totalAmount: payment.amount,
+      message: 'Purchase completed successfully'
+    });
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        failures: error.failures
+      });
+    }
+
+    if (error instanceof PaymentError) {
+      return res.status(402).json({ success: false, message: error.message, reason: error.code });
+    }
+
+    console.error('Error checking out cart:', error);
+    res.status(500).json({ success: false, message: 'Error checking out cart' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,268 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../services/permissions');
+const {
+  DEFAULT_CATEGORY,
+  CategoryError,
+  loadCategories,
+  clearCategoryCache,
+  attributesOf
+} = require('../services/categories');
+
+const router = express.Router();
+
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const publicFields = (category) => ({
+  _id: category._id,
+  name: category.name,
+  slug: category.slug,
+  parent: category.parent,
+  description: category.description,
+  attributes: category.attributes,
+  isActive: category.isActive,
+  sortOrder: category.sortOrder
+});
+
+const sendCategoryError = (res, error, message) => {
+  if (error instanceof CategoryError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A category with this slug already exists' });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+// Look up a category by slug for editing, straight from the database
+const findForUpdate = async (slug) => {
+  const category = await Category.findOne({ slug: String(slug) });
+  if (!category) {
+    throw new CategoryError('Category not found', 404);
+  }
+  return category;
+};
+
+// Resolve a parent given by slug; empty means a top-level category
+const findParent = async (slug) => {
+  if (!slug) return null;
+  const parent = await Category.findOne({ slug: String(slug) });
+  if (!parent) {
+    throw new CategoryError('Parent category not found');
+  }
+  return parent;
+};
+
+const readAttributes = (attributes) => {
+  if (!Array.isArray(attributes)) {
+    throw new CategoryError('attributes must be a list of attribute definitions');
+  }
+  return attributes;
+};
+
+// The whole taxonomy as a tree, ordered by sortOrder then name. Managers
+// can add ?includeInactive=true to see deactivated branches.
+router.get('/', auth.optional, async (req, res) => {
+  try {
+    const { list } = await loadCategories();
+    const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.user, 'categories:manage');
+
+    // A deactivated category hides everything below it
+    const inactive = new Set(list.filter(category => !category.isActive).map(category => category._id.toString()));
+    const visible = includeInactive
+      ? list
+      : list.filter(category => category.isActive
+        && !category.ancestors.some(id => inactive.has(id.toString())));
+
+    const nodes = new Map(visible.map(category => [
+      category._id.toString(),
+      { ...publicFields(category), children: [] }
+    ]));
+    const categories = [];
+    for (const category of visible) {
+      const parent = category.parent && nodes.get(category.parent.toString());
+      (parent ? parent.children : categories).push(nodes.get(category._id.toString()));
+    }
+
+    res.json({ success: true, categories });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error fetching categories');
+  }
+});
+
+// One category with the full attribute schema its listings use (inherited
+// attributes included), the path to it and its direct subcategories
+router.get('/:slug', async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const category = categories.bySlug.get(req.params.slug);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    res.json({
+      success: true,
+      category: {
+        ...publicFields(category),
+        ownAttributes: category.attributes,
+        attributes: attributesOf(category, categories)
+      },
+      breadcrumbs: category.ancestors
+        .map(id => categories.byId.get(id.toString()))
+        .filter(Boolean)
+        .map(({ name, slug }) => ({ name, slug })),
+      children: categories.list
+        .filter(item => item.parent?.equals(category._id) && item.isActive)
+        .map(publicFields)
+    });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error fetching category');
+  }
+});
+
+// Create a category: { name, slug, parent (slug), description, attributes,
+// sortOrder }. The slug defaults to one made from the name.
+router.post('/', [auth, requirePermission('categories:manage')], async (req, res) => {
+  try {
+    const { name, slug, parent, description, attributes = [], sortOrder } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({ success: false, message: 'A name is required' });
+    }
+
+    const parentCategory = await findParent(parent);
+    const category = await Category.create({
+      name: name.trim(),
+      slug: slug?.trim() || slugify(name),
+      parent: parentCategory?._id || null,
+      ancestors: parentCategory ? [...parentCategory.ancestors, parentCategory._id] : [],
+      description: description?.trim() || '',
+      attributes: readAttributes(attributes),
+      sortOrder: Number.isFinite(Number(sortOrder)) ? Number(sortOrder) : 0
+    });
+    clearCategoryCache();
+
+    res.status(201).json({ success: true, category, message: 'Category created' });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error creating category');
+  }
+});
+
+// Update a category: any of { name, description, attributes, sortOrder,
+// isActive, parent }. The slug can't change since listings store it.
+// Changing the attribute schema doesn't touch existing listings; they are
+// checked against the new one the next time they're edited.
+router.put('/:slug', [auth, requirePermission('categories:manage')], async (req, res) => {
+  try {
+    const category = await findForUpdate(req.params.slug);
+    const { name, description, attributes, sortOrder, isActive, parent } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ success: false, message: 'A name is required' });
+      }
+      category.name = String(name).trim();
+    }
+    if (description !== undefined) category.description = String(description).trim();
+    if (attributes !== undefined) category.attributes = readAttributes(attributes);
+    if (sortOrder !== undefined && Number.isFinite(Number(sortOrder))) category.sortOrder = Number(sortOrder);
+    if (isActive !== undefined) {
+      const active = isActive === true || isActive === 'true';
+      if (!active && category.slug === DEFAULT_CATEGORY) {
+        return res.status(400).json({ success: false, message: `The "${DEFAULT_CATEGORY}" category can't be deactivated` });
+      }
+      category.isActive = active;
+    }
+
+    // Moving a category moves its whole subtree
+    let descendants = [];
+    if (parent !== undefined) {
+      const parentCategory = await findParent(parent);
+      if (parentCategory && (parentCategory._id.equals(category._id)
+        || parentCategory.ancestors.some(id => id.equals(category._id)))) {
+        return res.status(400).json({ success: false, message: 'A category cannot be moved under itself' });
+      }
+
+      const depth = category.ancestors.length;
+      const ancestors = parentCategory ? [...parentCategory.ancestors, parentCategory._id] : [];
+      descendants = await Category.find({ ancestors: category._id });
+      for (const descendant of descendants) {
+        descendant.ancestors = [...ancestors, ...descendant.ancestors.slice(depth)];
+      }
+      category.parent = parentCategory?._id || null;
+      category.ancestors = ancestors;
+    }
+
+    // One transaction, so a failure can't leave part of the subtree with
+    // stale ancestors. Writes are plain updates, which withTransaction can
+    // safely retry.
+    await category.validate();
+    const changes = category.getChanges();
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (Object.keys(changes).length > 0) {
+          await Category.updateOne({ _id: category._id }, changes, { session });
+        }
+        if (descendants.length > 0) {
+          await Category.bulkWrite(descendants.map(descendant => ({
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: { $set: { ancestors: descendant.ancestors } }
+            }
+          })), { session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+    clearCategoryCache();
+
+    res.json({ success: true, category, message: 'Category updated' });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error updating category');
+  }
+});
+
+// Delete an unused category. One with subcategories or listings has to be
+// emptied first, or deactivated instead.
+router.delete('/:slug', [auth, requirePermission('categories:manage')], async (req, res) => {
+  try {
+    const category = await findForUpdate(req.params.slug);
+    if (category.slug === DEFAULT_CATEGORY) {
+      return res.status(400).json({ success: false, message: `The "${DEFAULT_CATEGORY}" category can't be deleted` });
+    }
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ success: false, message: 'Move or delete its subcategories first' });
+    }
+    const listings = await Product.countDocuments({ category: category.slug });
+    if (listings > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${listings} ${listings === 1 ? 'listing uses' : 'listings use'} this category; deactivate it instead`
+      });
+    }
+
+    await category.deleteOne();
+    clearCategoryCache();
+
+    res.json({ success: true, message: 'Category deleted' });
+  } catch (error) {
+    sendCategoryError(res, error, 'Error deleting category');
+  }
+});
+
+module.exports = router;
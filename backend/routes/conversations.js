@@ -0,0 +1,251 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const otherSide = { buyer: 'seller', seller: 'buyer' };
+
+// Whether either user has blocked the other
+const isBlockedBetween = async (userId, otherId) => {
+  const count = await User.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherId },
+      { _id: otherId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
+// Load a conversation the current user takes part in
+const findOwnConversation = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Conversation not found' });
+    return null;
+  }
+
+  const conversation = await Conversation.findById(req.params.id);
+  if (!conversation) {
+    res.status(404).json({ success: false, message: 'Conversation not found' });
+    return null;
+  }
+
+  if (!conversation.sideOf(req.user.id)) {
+    res.status(403).json({ success: false, message: 'Not authorized to view this conversation' });
+    return null;
+  }
+
+  return conversation;
+};
+
+// Add a message and bump the other side's unread count
+const postMessage = async (conversation, senderId, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    body
+  });
+
+  const recipient = otherSide[conversation.sideOf(senderId)];
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: { lastMessage: message.body.slice(0, 200), lastMessageAt: message.createdAt },
+      $inc: { [`unread.${recipient}`]: 1 }
+    }
+  );
+
+  return message;
+};
+
+// List the current user's conversations, newest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ buyer: req.user.id }, { seller: req.user.id }]
+    })
+      .populate('product', 'name images price status')
+      .populate('buyer', 'name')
+      .populate('seller', 'name')
+      .sort({ lastMessageAt: -1 });
+
+    // The other participant populates as null once their account is
+    // deleted, so the side is read from our own, which always exists
+    const userId = req.user.id.toString();
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => ({
+        ...conversation.toObject(),
+        unreadCount: conversation.seller?._id.toString() === userId
+          ? conversation.unread.seller
+          : conversation.unread.buyer
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ success: false, message: 'Error fetching conversations' });
+  }
+});
+
+// Total unread messages across all conversations
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const [result] = await Conversation.aggregate([
+      { $match: { $or: [{ buyer: req.user.id }, { seller: req.user.id }] } },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: { $cond: [{ $eq: ['$buyer', req.user.id] }, '$unread.buyer', '$unread.seller'] }
+          }
+        }
+      }
+    ]);
+    res.json({ success: true, unreadCount: result ? result.total : 0 });
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    res.status(500).json({ success: false, message: 'Error counting unread messages' });
+  }
+});
+
+// List users the current user has blocked
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate('blockedUsers', 'name');
+    res.json({ success: true, blockedUsers: user.blockedUsers });
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ success: false, message: 'Error fetching blocked users' });
+  }
+});
+
+// Block a user from messaging you
+router.post('/block/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (userId === req.user.id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $addToSet: { blockedUsers: userId } });
+    res.json({ success: true, message: 'User blocked' });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ success: false, message: 'Error blocking user' });
+  }
+});
+
+// Unblock a user
+router.delete('/block/:userId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $pull: { blockedUsers: req.params.userId } });
+    res.json({ success: true, message: 'User unblocked' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ success: false, message: 'Error unblocking user' });
+  }
+});
+
+// Start a conversation about a product (or continue the existing one)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { productId, message } = req.body;
+
+    if (!message?.trim()) {
+      return res.status(400).json({ success: false, message: 'Message cannot be empty' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || product.status !== 'approved') {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    if (product.seller.toString() === req.user.id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot message yourself about your own listing' });
+    }
+
+    if (await isBlockedBetween(req.user.id, product.seller)) {
+      return res.status(403).json({ success: false, message: 'You cannot message this user' });
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { product: product._id, buyer: req.user.id },
+      { $setOnInsert: { seller: product.seller } },
+      { upsert: true, new: true }
+    );
+
+    const sent = await postMessage(conversation, req.user.id, message.trim());
+
+    res.status(201).json({ success: true, conversation, message: sent });
+  } catch (error) {
+    console.error('Error starting conversation:', error);
+    res.status(500).json({ success: false, message: 'Error starting conversation' });
+  }
+});
+
+// Get the messages of a conversation and mark them read
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ createdAt: 1 });
+
+    const side = conversation.sideOf(req.user.id);
+    await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: req.user.id }, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+    await Conversation.updateOne({ _id: conversation._id }, { $set: { [`unread.${side}`]: 0 } });
+
+    res.json({ success: true, conversation, messages });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ success: false, message: 'Error fetching messages' });
+  }
+});
+
+// Send a message in a conversation
+router.post('/:id/messages', auth, async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message?.trim()) {
+      return res.status(400).json({ success: false, message: 'Message cannot be empty' });
+    }
+
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const side = conversation.sideOf(req.user.id);
+    const recipientId = conversation[otherSide[side]];
+    if (await isBlockedBetween(req.user.id, recipientId)) {
+      return res.status(403).json({ success: false, message: 'You cannot message this user' });
+    }
+
+    const sent = await postMessage(conversation, req.user.id, message.trim());
+
+    res.status(201).json({ success: true, message: sent });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({ success: false, message: 'Error sending message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Favorite = require('../models/Favorite');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const { paginate, parsePageParams, CursorError } = require('../utils/pagination');
+
+const router = express.Router();
+
+// List the current user's favorites, most recently added first
+router.get('/', auth, async (req, res) => {
+  try {
+    const { items, pageInfo } = await paginate(Favorite, { user: req.user.id }, {
+      ...parsePageParams(req.query),
+      sort: { createdAt: -1, _id: -1 },
+      prepare: query => query.populate({
+        path: 'product',
+        populate: { path: 'seller', select: 'name email rating' }
+      })
+    });
+
+    res.json({
+      success: true,
+      // Listings deleted since they were added drop out of the list
+      favorites: items.filter(favorite => favorite.product),
+      pageInfo,
+      message: 'Favorites fetched successfully'
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ success: false, message: 'Error fetching favorites' });
+  }
+});
+
+// Add a listing to the current user's favorites
+router.post('/:productId', auth, async (req, res) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.productId)
+      ? await Product.findById(req.params.productId)
+      : null;
+    if (!product || product.status !== 'approved' || !product.isActive) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (product.seller.toString() === req.user.id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot favorite your own listing' });
+    }
+
+    // Adding twice is harmless
+    const result = await Favorite.updateOne(
+      { user: req.user.id, product: product._id },
+      { $setOnInsert: { user: req.user.id, product: product._id } },
+      { upsert: true }
+    );
+
+    res.status(result.upsertedCount ? 201 : 200).json({
+      success: true,
+      message: 'Added to favorites'
+    });
+  } catch (error) {
+    console.error('Error adding favorite:', error);
+    res.status(500).json({ success: false, message: 'Error adding favorite' });
+  }
+});
+
+// Remove a listing from the current user's favorites
+router.delete('/:productId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(404).json({ success: false, message: 'Favorite not found' });
+    }
+
+    const result = await Favorite.deleteOne({ user: req.user.id, product: req.params.productId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Favorite not found' });
+    }
+
+    res.json({ success: true, message: 'Removed from favorites' });
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    res.status(500).json({ success: false, message: 'Error removing favorite' });
+  }
+});
+
+module.exports = router;
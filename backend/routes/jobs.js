@@ -0,0 +1,58 @@
+const express = require('express');
+const Job = require('../models/Job');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { describeJob, requestRun } = require('../services/jobs');
+
+const router = express.Router();
+
+// Every background job with its schedule, lock and last outcome. The run
+// history is left out here; it comes with a single job.
+router.get('/', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const jobs = await Job.find().select('-history').sort({ name: 1 });
+    const now = new Date();
+    res.json({ success: true, jobs: jobs.map(job => describeJob(job, now)) });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, message: 'Error fetching jobs' });
+  }
+});
+
+// One job with its recent runs, newest first
+router.get('/:name', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const job = await Job.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const json = describeJob(job);
+    json.history = json.history.reverse();
+    res.json({ success: true, job: json });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, message: 'Error fetching job' });
+  }
+});
+
+// Run a job on the next poll instead of waiting for its schedule
+router.post('/:name/run', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    if (!await Job.exists({ name: req.params.name })) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const job = await requestRun(req.params.name);
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'The job is running right now' });
+    }
+
+    res.json({ success: true, job: describeJob(job), message: 'The job will run shortly' });
+  } catch (error) {
+    console.error('Error scheduling job:', error);
+    res.status(500).json({ success: false, message: 'Error scheduling job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { addStream, removeStream, endStream } = require('../services/notifications');
+const { isSessionActive } = require('../services/tokens');
+
+const router = express.Router();
+
+// Keep idle proxies from closing the stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Live notification stream (Server-Sent Events). Browsers can't set headers
+// on an EventSource, so the same JWT may also be passed as ?token=.
+router.get('/stream', async (req, res) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
+    if (!token) {
+      return res.status(401).json({ success: false, message: 'No token, authorization denied' });
+    }
+
+    let user;
+    try {
+      user = await auth.resolveUser(token);
+    } catch (error) {
+      return res.status(error instanceof auth.AuthError ? error.status : 401).json({
+        success: false,
+        message: error instanceof auth.AuthError ? error.message : 'Token is not valid'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const unreadCount = await Notification.countDocuments({ user: user.id, readAt: { $exists: false } });
+    res.write(`event: ready\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+
+    addStream(user.id, res);
+    // The session is checked again on every beat, so logging out, logging
+    // out everywhere or resetting the password ends the stream too, on
+    // whichever instance holds it
+    const heartbeat = setInterval(async () => {
+      let active = true;
+      try {
+        active = await isSessionActive(user.sessionId);
+      } catch (error) {
+        console.error('Notification stream session check error:', error);
+      }
+      if (active) {
+        res.write(': ping\n\n');
+      } else {
+        endStream(res, 'session_revoked');
+      }
+    }, HEARTBEAT_MS);
+
+    // Fires when the client goes away and when the server ends the stream
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      removeStream(user.id, res);
+    });
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Error opening notification stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// List notifications, newest first (?unread=true for unread only)
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.unread === 'true') {
+      filter.readAt = { $exists: false };
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.json({ success: true, notifications });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ success: false, message: 'Error fetching notifications' });
+  }
+});
+
+// Number of unread notifications
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: { $exists: false } });
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ success: false, message: 'Error counting notifications' });
+  }
+});
+
+// Mark every notification as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { user: req.user.id, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ success: true, message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ success: false, message: 'Error marking notifications read' });
+  }
+});
+
+// Mark a single notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ success: false, message: 'Error marking notification read' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { paginate, parsePageParams, CursorError } = require('../utils/pagination');
+const {
+  OfferError,
+  makeOffer,
+  counterOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer
+} = require('../services/offers');
+
+const router = express.Router();
+
+const sendOfferError = (res, error, message) => {
+  if (error instanceof OfferError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error instanceof CursorError) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+// Make an offer: { productId, amount, note }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { productId, amount, note } = req.body;
+    const offer = await makeOffer({ buyerId: req.user.id, productId, amount, note });
+    res.status(201).json({ success: true, offer, message: 'Offer sent' });
+  } catch (error) {
+    sendOfferError(res, error, 'Error making offer');
+  }
+});
+
+// List the current user's offers, newest first. ?as=buyer or ?as=seller
+// narrows to one side, ?status= to one status.
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = ['buyer', 'seller'].includes(req.query.as)
+      ? { [req.query.as]: req.user.id }
+      : { $or: [{ buyer: req.user.id }, { seller: req.user.id }] };
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+
+    const { items, pageInfo } = await paginate(Offer, filter, {
+      ...parsePageParams(req.query),
+      sort: { createdAt: -1, _id: -1 },
+      prepare: query => query
+        .populate('product', 'name price images imageVariants status')
+        .populate('buyer', 'name')
+        .populate('seller', 'name')
+    });
+
+    res.json({ success: true, offers: items, pageInfo, message: 'Offers fetched successfully' });
+  } catch (error) {
+    sendOfferError(res, error, 'Error fetching offers');
+  }
+});
+
+// Offer history of a listing. The seller (or staff) sees every offer,
+// anyone else only their own.
+router.get('/product/:productId', auth, async (req, res) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.productId)
+      ? await Product.findById(req.params.productId).select('seller')
+      : null;
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const seesAll = product.seller.toString() === req.user.id.toString()
+      || hasPermission(req.user, 'products:read');
+    const offers = await Offer.find({
+      product: product._id,
+      ...(seesAll ? {} : { buyer: req.user.id })
+    })
+      .populate('buyer', 'name')
+      .populate('history.by', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, offers });
+  } catch (error) {
+    sendOfferError(res, error, 'Error fetching offer history');
+  }
+});
+
+// Get one offer with its history (buyer or seller only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const offer = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Offer.findById(req.params.id)
+        .populate('product', 'name price images imageVariants status')
+        .populate('buyer', 'name')
+        .populate('seller', 'name')
+      : null;
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const userId = req.user.id.toString();
+    if (offer.buyer._id.toString() !== userId && offer.seller._id.toString() !== userId) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this offer' });
+    }
+
+    res.json({ success: true, offer });
+  } catch (error) {
+    sendOfferError(res, error, 'Error fetching offer');
+  }
+});
+
+// Accept the amount on the table; reserves the item for the buyer
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    const offer = await acceptOffer({ offerId: req.params.id, userId: req.user.id, note: req.body.note });
+    res.json({ success: true, offer, message: 'Offer accepted' });
+  } catch (error) {
+    sendOfferError(res, error, 'Error accepting offer');
+  }
+});
+
+router.post('/:id/reject', auth, async (req, res) => {
+  try {
+    const offer = await rejectOffer({ offerId: req.params.id, userId: req.user.id, note: req.body.note });
+    res.json({ success: true, offer, message: 'Offer declined' });
+  } catch (error) {
+    sendOfferError(res, error, 'Error declining offer');
+  }
+});
+
+// Counter with a new amount: { amount, note }
+router.post('/:id/counter', auth, async (req, res) => {
+  try {
+    const offer = await counterOffer({
+      offerId: req.params.id,
+      userId: req.user.id,
+      amount: req.body.amount,
+      note: req.body.note
+    });
+    res.json({ success: true, offer, message: 'Counter-offer sent' });
+  } catch (error) {
+    sendOfferError(res, error, 'Error sending counter-offer');
+  }
+});
+
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const offer = await withdrawOffer({ offerId: req.params.id, userId: req.user.id, note: req.body.note });
+    res.json({ success: true, offer, message: 'Offer withdrawn' });
+  } catch (error) {
+    sendOfferError(res, error, 'Error withdrawing offer');
+  }
+});
+
+module.exports = router;
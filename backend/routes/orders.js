@@ -0,0 +1,116 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+
+const router = express.Router();
+
+// Status changes each side may make on an order. The buyer completes a
+// shipped order by confirming it arrived, so reviewing it never depends on
+// the seller.
+const statusTransitions = {
+  seller: {
+    placed: ['shipped'],
+    shipped: ['completed']
+  },
+  buyer: {
+    shipped: ['completed']
+  }
+};
+
+// Get the buyer's own orders (purchase history)
+router.get('/', auth, async (req, res) => {
+  try {
+    const orders = await Order.find({ buyer: req.user.id })
+      .populate('seller', 'name email')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ success: false, message: 'Error fetching orders' });
+  }
+});
+
+// Get incoming orders for the seller
+router.get('/sales', auth, async (req, res) => {
+  try {
+    const orders = await Order.find({ seller: req.user.id })
+      .populate('buyer', 'name email')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('Error fetching sales:', error);
+    res.status(500).json({ success: false, message: 'Error fetching sales' });
+  }
+});
+
+// Get a single order (buyer, seller or staff with orders:read)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Checked on the stored ids: a deleted account populates as null
+    const userId = req.user.id.toString();
+    const isParty = order.buyer.toString() === userId || order.seller.toString() === userId;
+    if (!isParty && !hasPermission(req.user, 'orders:read')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this order' });
+    }
+
+    await order.populate([
+      { path: 'buyer', select: 'name email' },
+      { path: 'seller', select: 'name email' }
+    ]);
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ success: false, message: 'Error fetching order' });
+  }
+});
+
+// Update order status: the seller ships and completes, the buyer confirms
+// receipt with { status: 'completed' }
+router.put('/:id/status', auth, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const order = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Order.findById(req.params.id)
+      : null;
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const userId = req.user.id.toString();
+    const side = order.seller.toString() === userId ? 'seller' : (order.buyer.toString() === userId ? 'buyer' : null);
+    if (!side) {
+      return res.status(403).json({ success: false, message: 'Not authorized to modify this order' });
+    }
+
+    const allowed = statusTransitions[side][order.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order from "${order.status}" to "${status}"`
+      });
+    }
+
+    order.status = status;
+    await order.save();
+
+    res.json({ success: true, order, message: `Order ${status}` });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({ success: false, message: 'Failed to update order status' });
+  }
+});
+
+module.exports = router;
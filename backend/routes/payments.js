@@ -0,0 +1,133 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../services/permissions');
+const { getPaymentProvider, PaymentError } = require('../services/payments');
+const { reverseSale, refundPayment } = require('../services/checkout');
+
+const router = express.Router();
+
+// Provider event types mapped to our payment statuses
+const webhookStatuses = {
+  'payment.captured': 'captured',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// Payment provider webhook (no JWT, verified by signature instead)
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    const event = provider.verifyWebhook(req.rawBody || Buffer.from(''), req.header('X-Payment-Signature'));
+
+    const status = webhookStatuses[event.type];
+    if (!status) {
+      // Acknowledge events we don't care about so the provider stops retrying
+      return res.json({ success: true, ignored: true });
+    }
+
+    const payment = await Payment.findOne({ provider: provider.name, providerRef: event.data?.id });
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    // Providers resend events, so a repeat of the current status is fine
+    if (payment.status !== status) {
+      if (!payment.canTransition(status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot move a ${payment.status} payment to ${status}`
+        });
+      }
+      payment.transition(status, event.data?.message || '', 'webhook');
+      await payment.save();
+    }
+
+    // Money that went back means the sale didn't happen. Only checkouts that
+    // completed have orders, and reversing is a no-op once done, so a resent
+    // event retries a reversal that errored.
+    if (['refunded', 'failed'].includes(payment.status) && payment.orders.length > 0) {
+      await reverseSale(payment);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ success: false, message: 'Error processing webhook' });
+  }
+});
+
+// Payments by status, newest change first; defaults to refund_failed,
+// the ones where a buyer is owed money and someone has to step in
+router.get('/', [auth, requirePermission('orders:read')], async (req, res) => {
+  try {
+    const status = req.query.status || 'refund_failed';
+    if (!Payment.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+
+    const payments = await Payment.find({ status })
+      .populate('buyer', 'name email')
+      .sort({ updatedAt: -1 })
+      .limit(100);
+    res.json({ success: true, payments });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payments' });
+  }
+});
+
+// Retry a refund that failed
+router.post('/:id/refund', [auth, requirePermission('payments:refund')], async (req, res) => {
+  try {
+    const payment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Payment.findById(req.params.id)
+      : null;
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+    if (payment.status !== 'refund_failed') {
+      return res.status(409).json({ success: false, message: `This payment is ${payment.status}` });
+    }
+
+    const refunded = await refundPayment(payment, 'Refund retried by an admin');
+    res.status(refunded ? 200 : 502).json({
+      success: refunded,
+      payment,
+      message: refunded ? 'Payment refunded' : 'The refund failed again'
+    });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    res.status(500).json({ success: false, message: 'Error refunding payment' });
+  }
+});
+
+// Get a payment and its status history (buyer or staff with orders:read)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    if (payment.buyer.toString() !== req.user.id.toString() && !hasPermission(req.user, 'orders:read')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this payment' });
+    }
+
+    res.json({ success: true, payment });
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payment' });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,52 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const { checkoutProducts, CheckoutError, PaymentError } = require('../services/checkout');
 const { body, validationResult } = require('express-validator');
 const verifyToken = require('../middleware/verifytoken');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { hasPermission } = require('../services/permissions');
+const { snapshot, recordTransition } = require('../services/moderation');
+const { notifyQuietly, notifyCartHoldersQuietly, notifyWatchersQuietly } = require('../services/notifications');
+const { searchProducts } = require('../services/search');
+const { alertSavedSearchesLater } = require('../services/savedSearches');
+const { resolveLocation, parseCoordinates, geocode, GeoError } = require('../services/geocoding');
+const { validateListing, CategoryError } = require('../services/categories');
+const { expiryFrom, renewListing } = require('../services/listingExpiry');
+const { dismissOpenReports } = require('../services/reports');
+const { paginate, parsePageParams, CursorError } = require('../utils/pagination');
+const {
+  processImages,
+  deleteImageFiles,
+  productImageFiles,
+  imageEntries,
+  setImageEntries,
+  ImageError
+} = require('../services/images');
+const ModerationLog = require('../models/ModerationLog');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const User = require('../models/User');
+const Favorite = require('../models/Favorite');
 
 const router = express.Router();
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(process.cwd(), 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+// Most images a listing can have
+const MAX_IMAGES = 5;
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Most units one listing can hold
+const MAX_STOCK = 999;
+
+const isValidStock = (value, min = 1) => Number.isInteger(value) && value >= min && value <= MAX_STOCK;
+
+// Whether adding, reordering or removing images sends an approved listing
+// back to moderation
+const remoderateOnImageChange = () => process.env.REMODERATE_ON_IMAGE_CHANGE === 'true';
+
+// Configure multer for file uploads. Files are kept in memory so they can be
+// verified and resized before anything is written to disk.
+const storage = multer.memoryStorage();
 
 const upload = multer({ 
   storage: storage,
@@ -42,11 +62,15 @@ const upload = multer({
   }
 });
 
+// Anonymous visitors don't get the seller's phone number
+const visibleFields = (req) => (req.user ? '' : '-contactNumber');
+
 // Create a new product
-router.post('/', auth, upload.array('images', 5), async (req, res) => {
+router.post('/', auth, requireVerifiedEmail, upload.array('images', MAX_IMAGES), async (req, res) => {
+  let processedImages = [];
   try {
     console.log('Creating new product with data:', req.body);
-    console.log('Uploaded files:', req.files);
+    console.log('Uploaded files:', req.files?.map(file => ({ name: file.originalname, size: file.size })));
     
     // Extract form data
     const {
@@ -54,9 +78,12 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
       price,
       description,
       category,
+      attributes,
       size,
       color,
       location,
+      lat,
+      lng,
       contactNumber
     } = req.body;
 
@@ -75,21 +102,17 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
       });
     }
 
-    if (!contactNumber?.trim()) {
+    // Identical units sold from one listing
+    const stock = req.body.stock === undefined || req.body.stock === '' ? 1 : Number(req.body.stock);
+    if (!isValidStock(stock)) {
       return res.status(400).json({
         success: false,
-        message: 'Contact number is required'
+        message: `Stock must be a whole number between 1 and ${MAX_STOCK}`
       });
     }
 
-    // Validate category
-    const validCategories = ['shoes', 'clothes', 'accessories', 'electronics', 'other'];
-    if (category && !validCategories.includes(category)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid category'
-      });
-    }
+    // Validate the category and its attributes
+    const listing = await validateListing({ category, attributes });
 
     // Validate images
     if (!req.files || req.files.length === 0) {
@@ -99,21 +122,28 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
       });
     }
 
-    // Get image paths (relative to the uploads directory)
-    const images = req.files.map(file => `/uploads/${file.filename}`);
+    const geo = resolveLocation({ lat, lng, location });
+
+    // Verify, strip metadata and resize every upload
+    processedImages = await processImages(req.files);
+    const images = processedImages.map(variants => variants.full);
     console.log('Processed image paths:', images);
 
     // Create product
     const product = new Product({
       name: name.trim(),
       price: parseFloat(price),
+      stock,
       description: description?.trim() || '',
-      category: category?.trim() || 'other',
+      category: listing.category,
+      attributes: listing.attributes,
       size: size?.trim() || '',
       color: color?.trim() || '',
       location: location?.trim() || '',
-      contactNumber: contactNumber.trim(),
+      geo: geo || undefined,
+      contactNumber: contactNumber?.trim() || '',
       images,
+      imageVariants: processedImages,
       seller: req.user.id
     });
 
@@ -135,20 +165,14 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
   } catch (error) {
     console.error('Error creating product:', error);
     
-    // Clean up uploaded files if product creation fails
-    if (req.files) {
-      req.files.forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-        } catch (err) {
-          console.error('Error deleting file:', err);
-        }
-      });
-    }
+    // Clean up processed images if product creation fails
+    await deleteImageFiles(processedImages.flatMap(variants => Object.values(variants)));
 
     // Send specific error message
     let errorMessage = 'Failed to add product. Please try again.';
-    if (error.name === 'ValidationError') {
+    if (error instanceof ImageError || error instanceof GeoError || error instanceof CategoryError) {
+      errorMessage = error.message;
+    } else if (error.name === 'ValidationError') {
       errorMessage = Object.values(error.errors).map(err => err.message).join(', ');
     }
 
@@ -159,103 +183,115 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
   }
 });
 
+// Listing order shared by the catalogue endpoints
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+// Send a page of products in the response shape every listing endpoint uses
+const sendPage = (res, { items, pageInfo }, message) => {
+  res.json({
+    success: true,
+    products: items,
+    pageInfo,
+    message
+  });
+};
+
+const sendPageError = (res, error, message) => {
+  if (error instanceof CursorError || error instanceof GeoError || error instanceof CategoryError) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
 // GET all products (public access)
-router.get('/public', async (req, res) => {
+router.get('/public', auth.optional, async (req, res) => {
   try {
-    console.log('Fetching public products...');
-    console.log('Current filters:', {
+    const filter = {
       status: 'approved',
       isActive: true,
       soldAt: { $exists: false } // Exclude sold items
+    };
+    console.log('Fetching public products...', req.query);
+
+    const page = await paginate(Product, filter, {
+      ...parsePageParams(req.query),
+      sort: NEWEST_FIRST,
+      prepare: query => query
+        .select(visibleFields(req))
+        .populate('seller', 'name email rating')
     });
-    
-    const products = await Product.find({ 
-      status: 'approved',
-      isActive: true,
-      soldAt: { $exists: false } // Exclude sold items
-    })
-      .populate('seller', 'name email')
-      .sort({ createdAt: -1 });
-
-    console.log(`Found ${products.length} products`);
-    console.log('First product sample:', products[0] ? {
-      id: products[0]._id,
-      name: products[0].name,
-      seller: products[0].seller
-    } : 'No products found');
-
-    res.json(products);
+
+    console.log(`Found ${page.items.length} products`);
+    sendPage(res, page, 'Products fetched successfully');
   } catch (error) {
     console.error('Error fetching public products:', error);
-    res.status(500).json({ message: 'Error fetching products', error: error.message });
+    sendPageError(res, error, 'Error fetching products');
   }
 });
 
 // GET all products (authenticated access)
 router.get('/', auth, async (req, res) => {
   try {
-    console.log('Fetching authenticated products...');
-    console.log('Current filters:', {
+    const filter = {
       status: 'approved',
       isActive: true
-    });
-    
-    const products = await Product.find({ 
-      status: 'approved',
-      isActive: true 
-    })
-      .populate('seller', 'name email')
-      .sort({ createdAt: -1 });
-
-    console.log(`Found ${products.length} products`);
-    console.log('First product sample:', products[0] ? {
-      id: products[0]._id,
-      name: products[0].name,
-      seller: products[0].seller
-    } : 'No products found');
+    };
+    console.log('Fetching authenticated products...', req.query);
 
-    res.json({ 
-      success: true, 
-      products,
-      message: 'Products fetched successfully' 
+    const page = await paginate(Product, filter, {
+      ...parsePageParams(req.query),
+      sort: NEWEST_FIRST,
+      prepare: query => query.populate('seller', 'name email rating')
     });
+
+    console.log(`Found ${page.items.length} products`);
+    sendPage(res, page, 'Products fetched successfully');
   } catch (error) {
     console.error('Error fetching authenticated products:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Error fetching products',
-      error: error.message 
-    });
+    sendPageError(res, error, 'Error fetching products');
   }
 });
 
 // Get user's own products (all statuses)
 router.get('/my-products', auth, async (req, res) => {
   try {
-    const products = await Product.find({ seller: req.user.id })
-      .populate('buyer', 'name email')
-      .sort({ createdAt: -1 }); // Sort by newest first
-    res.json({ success: true, products });
+    const page = await paginate(Product, { seller: req.user.id }, {
+      ...parsePageParams(req.query),
+      sort: NEWEST_FIRST, // Sort by newest first
+      prepare: query => query.populate('buyer', 'name email')
+    });
+
+    // Sellers see how many people are watching each listing
+    const favoriteCounts = await Favorite.countsFor(page.items.map(product => product._id));
+    page.items = page.items.map(product => ({
+      ...product.toJSON(),
+      favoriteCount: favoriteCounts.get(product._id.toString()) || 0
+    }));
+    sendPage(res, page, 'Products fetched successfully');
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    sendPageError(res, error, 'Error fetching products');
   }
 });
 
-// Get pending products (admin only)
-router.get('/pending', [auth, adminAuth], async (req, res) => {
+// Get pending products (moderators, support and admins)
+router.get('/pending', [auth, requirePermission('products:read')], async (req, res) => {
   try {
-    const products = await Product.find({ status: 'pending' })
-      .populate('seller', 'name email');
-    res.json({ success: true, products });
+    // Oldest first, so the queue is reviewed in submission order
+    const page = await paginate(Product, { status: 'pending' }, {
+      ...parsePageParams(req.query),
+      sort: { createdAt: 1, _id: 1 },
+      prepare: query => query.populate('seller', 'name email')
+    });
+    sendPage(res, page, 'Pending products fetched successfully');
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    sendPageError(res, error, 'Error fetching pending products');
   }
 });
 
-// Update product status (admin only)
-router.put('/:id/status', [auth, adminAuth], async (req, res) => {
+// Update product status (moderators and admins)
+router.put('/:id/status', [auth, requirePermission('products:moderate')], async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason, note } = req.body;
 
     // Validate status
     if (!['approved', 'rejected'].includes(status)) {
@@ -265,8 +301,18 @@ router.put('/:id/status', [auth, adminAuth], async (req, res) => {
       });
     }
 
+    // A rejection needs a reason the seller can act on
+    if (status === 'rejected' && !ModerationLog.REJECTION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `A rejection reason is required: ${ModerationLog.REJECTION_REASONS.join(', ')}`
+      });
+    }
+
     // Find and update the product
-    const product = await Product.findById(req.params.id);
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
     if (!product) {
       return res.status(404).json({ 
         success: false, 
@@ -274,10 +320,62 @@ router.put('/:id/status', [auth, adminAuth], async (req, res) => {
       });
     }
 
-    // Update the status
+    if (product.status === 'sold') {
+      return res.status(400).json({
+        success: false,
+        message: 'A sold product cannot be moderated'
+      });
+    }
+
+    // Update the status and keep the decision for the seller
+    const before = snapshot(product);
     product.status = status;
+    product.moderation = {
+      decision: status,
+      reason: status === 'rejected' ? reason : undefined,
+      note: note?.trim() || '',
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    };
+    // Approval starts the listing period
+    if (status === 'approved') {
+      product.expiresAt = expiryFrom();
+      product.expiryReminderSentAt = undefined;
+      product.expiredAt = undefined;
+    }
     await product.save();
 
+    await recordTransition({
+      product,
+      before,
+      actor: req.user.id,
+      action: status === 'approved' ? 'approve' : 'reject',
+      reason: status === 'rejected' ? reason : undefined,
+      note
+    });
+
+    // Let the seller know about the decision
+    notifyQuietly(product.seller, status === 'approved'
+      ? {
+        type: 'product_approved',
+        title: 'Your listing was approved',
+        message: `"${product.name}" is now visible to buyers.`,
+        data: { product: product._id }
+      }
+      : {
+        type: 'product_rejected',
+        title: 'Your listing was rejected',
+        message: `"${product.name}" was rejected (${reason.replace(/_/g, ' ')}).${note?.trim() ? ` ${note.trim()}` : ''}`,
+        data: { product: product._id, reason }
+      });
+    if (status === 'rejected' && before.status === 'approved') {
+      notifyCartHoldersQuietly([product], { reason: 'has been taken down' });
+    }
+    // Newly visible listings are matched against saved searches in the background
+    if (status === 'approved' && before.status !== 'approved' && product.isActive) {
+      alertSavedSearchesLater(product);
+    }
+
     // Return the updated product
     res.json({ 
       success: true, 
@@ -293,7 +391,207 @@ router.put('/:id/status', [auth, adminAuth], async (req, res) => {
   }
 });
 
-// Toggle product active status (seller or admin only)
+// Resubmit a rejected product for review (seller only)
+router.put('/:id/resubmit', auth, async (req, res) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    if (product.seller.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: 'Not authorized to modify this product' });
+    }
+
+    if (product.status !== 'rejected') {
+      return res.status(400).json({ success: false, message: 'Only rejected products can be resubmitted' });
+    }
+
+    const before = snapshot(product);
+    product.status = 'pending';
+    await product.save();
+
+    await recordTransition({
+      product,
+      before,
+      actor: req.user.id,
+      action: 'resubmit',
+      note: req.body.note
+    });
+
+    res.json({ success: true, product, message: 'Product resubmitted for review' });
+  } catch (error) {
+    console.error('Error resubmitting product:', error);
+    res.status(500).json({ success: false, message: 'Failed to resubmit product' });
+  }
+});
+
+// Moderation history of a product
+router.get('/:id/moderation-history', [auth, requirePermission('moderation:audit')], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const history = await ModerationLog.find({ product: req.params.id })
+      .populate('actor', 'name email')
+      .sort({ at: -1 });
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error fetching moderation history:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch moderation history' });
+  }
+});
+
+// Load a product the current user may edit, or send the error response
+const findEditableProduct = async (req, res) => {
+  const product = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Product.findById(req.params.id)
+    : null;
+  if (!product) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+
+  if (product.seller.toString() !== req.user.id.toString() && !hasPermission(req.user, 'products:manage')) {
+    res.status(403).json({ success: false, message: 'Not authorized to modify this product' });
+    return null;
+  }
+
+  if (product.status === 'sold') {
+    res.status(400).json({ success: false, message: 'A sold product cannot be modified' });
+    return null;
+  }
+
+  return product;
+};
+
+// Save a change to a product's images. Pictures are content, so with
+// REMODERATE_ON_IMAGE_CHANGE an approved listing goes back to review.
+// Returns whether it did.
+const saveImageChange = async (product, actor, note) => {
+  const before = snapshot(product);
+  const requeued = remoderateOnImageChange() && product.status === 'approved';
+  if (requeued) {
+    product.status = 'pending';
+  }
+  await product.save();
+
+  if (requeued) {
+    await recordTransition({ product, before, actor, action: 'requeue', note });
+    notifyCartHoldersQuietly([product], { reason: 'is being reviewed again after an edit' });
+  }
+  return requeued;
+};
+
+// Add images to a product
+router.post('/:id/images', auth, upload.array('images', MAX_IMAGES), async (req, res) => {
+  let processedImages = [];
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'At least one image is required' });
+    }
+
+    const entries = imageEntries(product);
+    if (entries.length + req.files.length > MAX_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${MAX_IMAGES} images (it has ${entries.length})`
+      });
+    }
+
+    processedImages = await processImages(req.files);
+    setImageEntries(product, [...entries, ...processedImages]);
+
+    const requeued = await saveImageChange(product, req.user.id, 'Images added');
+
+    res.json({
+      success: true,
+      product,
+      message: requeued ? 'Images added, the product is back in review' : 'Images added successfully'
+    });
+  } catch (error) {
+    await deleteImageFiles(processedImages.flatMap(variants => Object.values(variants)));
+    if (error instanceof ImageError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error adding images:', error);
+    res.status(500).json({ success: false, message: 'Failed to add images' });
+  }
+});
+
+// Reorder the images of a product; the first one becomes the cover.
+// Body: { order: [2, 0, 1] } listing every current image index once.
+router.put('/:id/images/order', auth, async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+
+    const { order } = req.body;
+    const entries = imageEntries(product);
+    const isPermutation = Array.isArray(order)
+      && order.length === entries.length
+      && [...order].sort((a, b) => a - b).every((value, i) => value === i);
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: `Order must list each image index from 0 to ${entries.length - 1} exactly once`
+      });
+    }
+
+    setImageEntries(product, order.map(index => entries[index]));
+    const requeued = await saveImageChange(product, req.user.id, 'Images reordered');
+
+    res.json({
+      success: true,
+      product,
+      message: requeued ? 'Images reordered, the product is back in review' : 'Images reordered successfully'
+    });
+  } catch (error) {
+    console.error('Error reordering images:', error);
+    res.status(500).json({ success: false, message: 'Failed to reorder images' });
+  }
+});
+
+// Remove one image (by its index) and delete its files
+router.delete('/:id/images/:index', auth, async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+
+    const entries = imageEntries(product);
+    const index = parseInt(req.params.index, 10);
+    if (!Number.isInteger(index) || index < 0 || index >= entries.length) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    if (entries.length === 1) {
+      return res.status(400).json({ success: false, message: 'A product needs at least one image' });
+    }
+
+    const [removed] = entries.splice(index, 1);
+    setImageEntries(product, entries);
+    const requeued = await saveImageChange(product, req.user.id, 'Image removed');
+
+    await deleteImageFiles([...new Set(Object.values(removed))]);
+
+    res.json({
+      success: true,
+      product,
+      message: requeued ? 'Image removed, the product is back in review' : 'Image removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing image:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove image' });
+  }
+});
+
+// Toggle product active status (seller or product manager only)
 router.put('/:id/toggle-active', auth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
@@ -305,18 +603,56 @@ router.put('/:id/toggle-active', auth, async (req, res) => {
       });
     }
 
-    // Check if user is the seller or an admin
-    if (product.seller.toString() !== req.user.id && !req.user.isAdmin) {
+    // Check if user is the seller or can manage any product. Moderators
+    // use this too when handling reported listings.
+    const isModerator = hasPermission(req.user, 'products:manage') || hasPermission(req.user, 'products:moderate');
+    if (product.seller.toString() !== req.user.id.toString() && !isModerator) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to modify this product' 
       });
     }
 
+    // A listing hidden because of reports comes back only through a moderator
+    if (product.hiddenByReportsAt && !product.isActive && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: 'This listing is hidden while a moderator reviews reports about it'
+      });
+    }
+
     // Toggle the active status
+    const reinstatedByModerator = isModerator && Boolean(product.hiddenByReportsAt) && !product.isActive;
     product.isActive = !product.isActive;
+    if (product.isActive) {
+      product.hiddenByReportsAt = undefined;
+      product.hiddenBySuspensionAt = undefined;
+      // Bringing back an expired listing renews it
+      if (product.expiredAt || (product.expiresAt && product.expiresAt <= new Date())) {
+        product.expiredAt = undefined;
+        product.expiresAt = expiryFrom();
+        product.expiryReminderSentAt = undefined;
+      }
+    }
     await product.save();
 
+    // Putting a reported listing back up settles the reports against it
+    if (reinstatedByModerator) {
+      await dismissOpenReports('Product', product._id, {
+        by: req.user.id,
+        note: 'Listing reinstated by a moderator'
+      });
+    }
+
+    if (!product.isActive && product.status === 'approved') {
+      notifyCartHoldersQuietly([product], { reason: 'has been taken down by the seller' });
+      notifyWatchersQuietly(product, {
+        type: 'favorite_unavailable',
+        title: 'An item you are watching is no longer available',
+        message: `"${product.name}" has been taken down by the seller.`
+      });
+    }
+
     res.json({ 
       success: true, 
       message: `Product ${product.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -327,6 +663,96 @@ router.put('/:id/toggle-active', auth, async (req, res) => {
   }
 });
 
+// Add units to a listing: { quantity }. A sold-out listing goes back on
+// sale without another review, since its content hasn't changed.
+router.post('/:id/restock', auth, async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity);
+    if (!isValidStock(quantity)) {
+      return res.status(400).json({
+        success: false,
+        message: `quantity must be a whole number between 1 and ${MAX_STOCK}`
+      });
+    }
+
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (product.seller.toString() !== req.user.id.toString() && !hasPermission(req.user, 'products:manage')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to modify this product' });
+    }
+
+    // Atomic, so units bought meanwhile are never counted back in
+    const withinLimit = { stock: { $lte: MAX_STOCK - quantity } };
+    let updated = await Product.findOneAndUpdate(
+      { _id: product._id, status: { $ne: 'sold' }, ...withinLimit },
+      { $inc: { stock: quantity } },
+      { new: true }
+    );
+    if (!updated) {
+      updated = await Product.findOneAndUpdate(
+        { _id: product._id, status: 'sold', ...withinLimit },
+        {
+          $inc: { stock: quantity },
+          $set: { status: 'approved', isActive: true, expiresAt: expiryFrom() },
+          $unset: { soldAt: 1, buyer: 1, order: 1, expiryReminderSentAt: 1, expiredAt: 1 }
+        },
+        { new: true }
+      );
+      if (updated) {
+        await recordTransition({ product: updated, before: snapshot(product), actor: req.user.id, action: 'restock' });
+      }
+    }
+    if (!updated) {
+      return res.status(400).json({ success: false, message: `A listing can hold at most ${MAX_STOCK} units` });
+    }
+
+    res.json({
+      success: true,
+      product: updated,
+      message: `Added ${quantity} ${quantity === 1 ? 'unit' : 'units'}, ${updated.stock} in stock`
+    });
+  } catch (error) {
+    console.error('Error restocking product:', error);
+    res.status(500).json({ success: false, message: 'Error restocking product' });
+  }
+});
+
+// Keep an approved listing up for another full period. An expired one goes
+// back on sale.
+router.post('/:id/renew', auth, async (req, res) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (product.seller.toString() !== req.user.id.toString() && !hasPermission(req.user, 'products:manage')) {
+      return res.status(403).json({ success: false, message: 'Not authorized to modify this product' });
+    }
+    if (product.status !== 'approved') {
+      return res.status(400).json({ success: false, message: 'Only approved listings can be renewed' });
+    }
+
+    await renewListing(product);
+
+    const hidden = product.hiddenByReportsAt || product.hiddenBySuspensionAt;
+    res.json({
+      success: true,
+      product,
+      message: `Listing renewed until ${product.expiresAt.toISOString().slice(0, 10)}`
+        + (hidden ? '; it stays hidden until the reason it was taken down is resolved' : '')
+    });
+  } catch (error) {
+    console.error('Error renewing product:', error);
+    res.status(500).json({ success: false, message: 'Error renewing product' });
+  }
+});
+
 // Update a product
 router.put('/:id', auth, async (req, res) => {
   try {
@@ -335,8 +761,8 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    // Check if user is the seller or an admin
-    if (product.seller.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+    // Check if user is the seller or can manage any product
+    if (product.seller.toString() !== req.user.id.toString() && !hasPermission(req.user, 'products:manage')) {
       return res.status(403).json({ success: false, message: 'Not authorized to modify this product' });
     }
 
@@ -346,9 +772,12 @@ router.put('/:id', auth, async (req, res) => {
       price,
       description,
       category,
+      attributes,
       size,
       color,
       location,
+      lat,
+      lng,
       contactNumber
     } = req.body;
 
@@ -367,34 +796,54 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    if (!contactNumber?.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Contact number is required'
-      });
+    // Validate the category and its attributes
+    let listing;
+    try {
+      listing = await validateListing({ category, attributes }, product.category);
+    } catch (error) {
+      if (error instanceof CategoryError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
     }
 
-    // Validate category
-    const validCategories = ['shoes', 'clothes', 'accessories', 'electronics', 'other'];
-    if (category && !validCategories.includes(category)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid category'
-      });
+    // New coordinates replace the point; a changed label is geocoded again
+    let geo;
+    try {
+      geo = parseCoordinates(lat, lng);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
     }
+    const label = location?.trim() || '';
+    if (!geo && label !== product.location) {
+      geo = geocode(label);
+      if (!geo) product.geo = undefined;
+    }
+
+    const previousPrice = product.price;
 
     // Update product
     product.name = name.trim();
     product.price = parseFloat(price);
     product.description = description?.trim() || '';
-    product.category = category?.trim() || 'other';
+    product.category = listing.category;
+    product.attributes = listing.attributes;
     product.size = size?.trim() || '';
     product.color = color?.trim() || '';
-    product.location = location?.trim() || '';
-    product.contactNumber = contactNumber.trim();
+    product.location = label;
+    if (geo) product.geo = geo;
+    product.contactNumber = contactNumber?.trim() || '';
 
     await product.save();
 
+    if (product.price < previousPrice && product.status === 'approved' && product.isActive) {
+      notifyWatchersQuietly(product, {
+        type: 'favorite_price_drop',
+        title: 'Price drop on an item you are watching',
+        message: `"${product.name}" is now ${product.price} (was ${previousPrice}).`
+      });
+    }
+
     res.json({ 
       success: true, 
       product,
@@ -418,23 +867,21 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    // Check if user is the seller or an admin
-    if (product.seller.toString() !== req.user.id.toString() && !req.user.isAdmin) {
+    // Check if user is the seller or can manage any product
+    if (product.seller.toString() !== req.user.id.toString() && !hasPermission(req.user, 'products:manage')) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this product' });
     }
 
-    // Delete product images from the filesystem
-    if (product.images && product.images.length > 0) {
-      product.images.forEach(imagePath => {
-        const fullPath = path.join(process.cwd(), imagePath);
-        if (fs.existsSync(fullPath)) {
-          fs.unlinkSync(fullPath);
-        }
-      });
+    // Delete every image variant from the filesystem
+    await deleteImageFiles(productImageFiles(product));
+
+    if (product.status === 'approved' && product.isActive) {
+      notifyCartHoldersQuietly([product], { reason: 'has been removed' });
     }
 
     // Delete the product from the database
     await Product.findByIdAndDelete(req.params.id);
+    await Favorite.deleteMany({ product: product._id });
 
     res.json({ 
       success: true, 
@@ -451,62 +898,33 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Search products
-router.get('/search', async (req, res) => {
+router.get('/search', auth.optional, async (req, res) => {
   try {
-    const { query, category, minPrice, maxPrice } = req.query;
-    
-    // Build search query
-    const searchQuery = {
-      status: 'approved',
-      isActive: true,
-      soldAt: { $exists: false } // Exclude sold items
-    };
-
-    // Add text search if query exists
-    if (query) {
-      searchQuery.$or = [
-        { name: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ];
-    }
-
-    // Add category filter if provided
-    if (category) {
-      searchQuery.category = category;
-    }
-
-    // Add price range if provided
-    if (minPrice || maxPrice) {
-      searchQuery.price = {};
-      if (minPrice) searchQuery.price.$gte = parseFloat(minPrice);
-      if (maxPrice) searchQuery.price.$lte = parseFloat(maxPrice);
-    }
-
-    const products = await Product.find(searchQuery)
-      .populate('seller', 'name email')
-      .sort({ createdAt: -1 });
+    const { items, pageInfo, facets } = await searchProducts(req.query, {
+      ...parsePageParams(req.query),
+      hideFields: req.user ? [] : ['contactNumber']
+    });
 
     res.json({
       success: true,
-      products,
+      products: items,
+      pageInfo,
+      facets,
       message: 'Search results fetched successfully'
     });
   } catch (error) {
     console.error('Error searching products:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error searching products',
-      error: error.message
-    });
+    sendPageError(res, error, 'Error searching products');
   }
 });
 
 // Get a single product by ID (This should be the last GET route)
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth.optional, async (req, res) => {
   try {
     console.log('Fetching product with ID:', req.params.id);
     const product = await Product.findById(req.params.id)
-      .populate('seller', 'name email');
+      .select(visibleFields(req))
+      .populate('seller', 'name email rating');
     
     if (!product) {
       console.log('Product not found');
@@ -517,6 +935,14 @@ router.get('/:id', async (req, res) => {
     }
 
     console.log('Found product:', product);
+
+    // The seller also sees how many people are watching it
+    if (req.user && product.seller?._id.toString() === req.user.id.toString()) {
+      return res.json({
+        ...product.toJSON(),
+        favoriteCount: await Favorite.countDocuments({ product: product._id })
+      });
+    }
     res.json(product);
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -528,75 +954,60 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Checkout route
+// Checkout route: { productId, quantity, shippingAddress, paymentToken }
 router.post('/checkout', auth, async (req, res) => {
   try {
-    const { productId, shippingAddress, paymentInfo } = req.body;
-
-    // Validate product exists and is available
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Product not found' 
-      });
-    }
+    const { productId, shippingAddress, paymentToken, paymentInfo } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
 
-    // Check if product is still available at the exact moment of purchase
-    if (product.status === 'sold' || !product.isActive) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'This product is no longer available. It may have been purchased by another user.' 
-      });
-    }
-
-    if (product.status !== 'approved') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'This product is not available for purchase' 
-      });
-    }
-
-    // Simple validation of payment info (just checking if fields exist)
-    if (!paymentInfo || !paymentInfo.cardNumber || !paymentInfo.expiryDate || !paymentInfo.cvv) {
+    // Raw card details must never reach the server
+    if (paymentInfo && (paymentInfo.cardNumber || paymentInfo.cvv)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid payment information'
+        message: 'Card details are not accepted. Tokenize the card with the payment provider and send paymentToken instead.'
       });
     }
 
-    // Use findOneAndUpdate to atomically check and update the product status
-    const updatedProduct = await Product.findOneAndUpdate(
-      { 
-        _id: productId,
-        status: 'approved',
-        isActive: true
-      },
-      {
-        $set: {
-          status: 'sold',
-          buyer: req.user.id,
-          soldAt: new Date(),
-          shippingAddress: shippingAddress,
-          isActive: false
-        }
-      },
-      { new: true }
-    );
-
-    if (!updatedProduct) {
+    if (!paymentToken) {
       return res.status(400).json({
         success: false,
-        message: 'This product is no longer available. It may have been purchased by another user.'
+        message: 'Payment token is required'
       });
     }
 
+    const { orders: [order], payment } = await checkoutProducts({
+      buyerId: req.user.id,
+      items: [{ product: productId, quantity }],
+      shippingAddress,
+      paymentToken
+    });
+    const product = await Product.findById(productId);
+
     res.json({ 
       success: true, 
       message: 'Purchase completed successfully',
-      product: updatedProduct 
+      order,
+      payment,
+      product 
     });
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      const [failure] = error.failures;
+      return res.status(failure.reason === 'not_found' ? 404 : 400).json({
+        success: false,
+        message: failure.message,
+        reason: failure.reason
+      });
+    }
+
+    if (error instanceof PaymentError) {
+      return res.status(402).json({
+        success: false,
+        message: error.message,
+        reason: error.code
+      });
+    }
+
     console.error('Checkout error:', error);
     res.status(500).json({ 
       success: false, 
@@ -607,7 +1018,7 @@ router.post('/checkout', auth, async (req, res) => {
 });
 
 // Admin stats: total users and products
-router.get('/admin/stats', [auth, adminAuth], async (req, res) => {
+router.get('/admin/stats', [auth, requirePermission('stats:read')], async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const totalProducts = await Product.countDocuments();
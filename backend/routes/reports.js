@@ -0,0 +1,212 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Report = require('../models/Report');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { hideIfReported } = require('../services/reports');
+const { processImages, deleteImageFiles, ImageError } = require('../services/images');
+const { paginate, parsePageParams, CursorError } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Most screenshots one report can carry
+const MAX_EVIDENCE = 3;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// API names for what can be reported, mapped to the models
+const TARGET_TYPES = {
+  product: 'Product',
+  user: 'User'
+};
+
+// Where a moderator acts on a reported listing, using the existing controls
+const productActions = (productId) => ({
+  approve: { method: 'PUT', path: `/api/products/${productId}/status`, body: { status: 'approved' } },
+  reject: {
+    method: 'PUT',
+    path: `/api/products/${productId}/status`,
+    body: { status: 'rejected' },
+    reasons: ModerationLog.REJECTION_REASONS
+  },
+  toggleActive: { method: 'PUT', path: `/api/products/${productId}/toggle-active` }
+});
+
+// Reasons a report can give
+router.get('/reasons', (req, res) => {
+  res.json({ success: true, reasons: Report.REPORT_REASONS });
+});
+
+// Report a listing or a user: multipart with targetType (product or user),
+// targetId, reason, details and up to MAX_EVIDENCE evidence images
+router.post('/', auth, upload.array('evidence', MAX_EVIDENCE), async (req, res) => {
+  let evidence = [];
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const model = TARGET_TYPES[targetType];
+    if (!model) {
+      return res.status(400).json({ success: false, message: 'targetType must be product or user' });
+    }
+    if (!Report.REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason is required: ${Report.REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(targetId)
+      ? await (model === 'Product' ? Product.findById(targetId).select('seller') : User.findById(targetId).select('_id'))
+      : null;
+    if (!target) {
+      return res.status(404).json({ success: false, message: `${model} not found` });
+    }
+
+    const ownerId = model === 'Product' ? target.seller : target._id;
+    if (ownerId.toString() === req.user.id.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot report yourself or your own listing' });
+    }
+
+    // One open report per reporter and target
+    const duplicate = { reporter: req.user.id, targetType: model, target: target._id, status: 'open' };
+    if (await Report.exists(duplicate)) {
+      return res.status(409).json({ success: false, message: 'You have already reported this' });
+    }
+
+    evidence = await processImages(req.files || [], { prefix: 'reports' });
+    const report = await Report.create({
+      targetType: model,
+      target: target._id,
+      reporter: req.user.id,
+      reason,
+      details: details?.trim() || '',
+      evidence
+    });
+
+    if (model === 'Product') {
+      await hideIfReported(target._id);
+    }
+
+    res.status(201).json({ success: true, report, message: 'Thanks, a moderator will look into it' });
+  } catch (error) {
+    await deleteImageFiles(evidence.flatMap(variants => Object.values(variants)));
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'You have already reported this' });
+    }
+    if (error instanceof ImageError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating report:', error);
+    res.status(500).json({ success: false, message: 'Error creating report' });
+  }
+});
+
+// Moderation queue, oldest first. ?status= (open, resolved, dismissed) and
+// ?targetType= (product, user) narrow it down.
+router.get('/', [auth, requirePermission('reports:review')], async (req, res) => {
+  try {
+    const filter = {
+      status: ['resolved', 'dismissed'].includes(req.query.status) ? req.query.status : 'open'
+    };
+    if (TARGET_TYPES[req.query.targetType]) {
+      filter.targetType = TARGET_TYPES[req.query.targetType];
+    }
+
+    const { items, pageInfo } = await paginate(Report, filter, {
+      ...parsePageParams(req.query),
+      sort: { createdAt: 1, _id: 1 },
+      prepare: query => query
+        .populate('reporter', 'name email')
+        .populate('target', 'name email price status isActive hiddenByReportsAt seller')
+        .populate('resolution.resolvedBy', 'name email')
+    });
+
+    // How many open reports each target has, to spot repeat offenders
+    const openCounts = await Report.aggregate([
+      { $match: { target: { $in: items.map(report => report.target?._id).filter(Boolean) }, status: 'open' } },
+      { $group: { _id: '$target', count: { $sum: 1 } } }
+    ]);
+    const countByTarget = new Map(openCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    const reports = items.map(report => {
+      const json = report.toJSON();
+      const targetId = report.target?._id;
+      json.openReportsOnTarget = targetId ? countByTarget.get(targetId.toString()) || 0 : 0;
+      if (report.targetType === 'Product' && targetId) {
+        json.actions = productActions(targetId);
+      }
+      return json;
+    });
+
+    res.json({ success: true, reports, pageInfo });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ success: false, message: 'Error fetching reports' });
+  }
+});
+
+// Close a report as resolved or dismissed: { note, allForTarget }.
+// allForTarget closes every open report on the same listing or user.
+const closeReport = (status) => async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Report.findById(req.params.id)
+      : null;
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(400).json({ success: false, message: `This report is already ${report.status}` });
+    }
+
+    const allForTarget = req.body.allForTarget === true || req.body.allForTarget === 'true';
+    const filter = allForTarget
+      ? { targetType: report.targetType, target: report.target, status: 'open' }
+      : { _id: report._id, status: 'open' };
+    const result = await Report.updateMany(filter, {
+      $set: {
+        status,
+        resolution: {
+          note: req.body.note?.trim() || '',
+          resolvedBy: req.user.id,
+          resolvedAt: new Date()
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      closed: result.modifiedCount,
+      ...(report.targetType === 'Product' ? { actions: productActions(report.target) } : {}),
+      message: `Report ${status}`
+    });
+  } catch (error) {
+    console.error('Error closing report:', error);
+    res.status(500).json({ success: false, message: 'Error closing report' });
+  }
+};
+
+router.put('/:id/resolve', [auth, requirePermission('reports:review')], closeReport('resolved'));
+router.put('/:id/dismiss', [auth, requirePermission('reports:review')], closeReport('dismissed'));
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { refreshSellerRating } = require('../services/reviews');
+const { notifyQuietly } = require('../services/notifications');
+const { paginate, parsePageParams, CursorError } = require('../utils/pagination');
+
+const router = express.Router();
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+const sendError = (res, error, message) => {
+  if (error instanceof CursorError) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message });
+};
+
+const findReview = async (req, res) => {
+  const review = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Review.findById(req.params.id)
+    : null;
+  if (!review) {
+    res.status(404).json({ success: false, message: 'Review not found' });
+  }
+  return review;
+};
+
+// Review the seller of a product you bought: { productId, orderId?, rating, text }.
+// orderId picks the purchase when the same listing was bought more than once;
+// otherwise the latest completed one is used.
+router.post('/', auth, async (req, res) => {
+  try {
+    const { productId, orderId, text } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ success: false, message: 'Rating must be a whole number from 1 to 5' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(productId) || (orderId && !mongoose.Types.ObjectId.isValid(orderId))) {
+      return res.status(404).json({ success: false, message: 'Purchase not found' });
+    }
+
+    // Only the buyer can review, and only once the sale is completed: the
+    // buyer confirms receipt through PUT /api/orders/:id/status
+    const orders = await Order.find({
+      ...(orderId ? { _id: orderId } : {}),
+      buyer: req.user.id,
+      'items.product': productId,
+      status: { $ne: 'cancelled' }
+    }).sort({ placedAt: -1 });
+    if (orders.length === 0) {
+      return res.status(403).json({ success: false, message: 'Only the buyer of this item can review it' });
+    }
+    const order = orders.find(candidate => candidate.status === 'completed');
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can review this purchase once you confirm the order arrived'
+      });
+    }
+
+    if (await Review.exists({ order: order._id, product: productId })) {
+      return res.status(409).json({ success: false, message: 'You have already reviewed this purchase' });
+    }
+
+    const review = await Review.create({
+      product: productId,
+      order: order._id,
+      seller: order.seller,
+      buyer: req.user.id,
+      rating,
+      text: text?.trim() || ''
+    });
+    await refreshSellerRating(order.seller);
+
+    const item = order.items.find(orderItem => orderItem.product.toString() === productId.toString());
+    notifyQuietly(order.seller, {
+      type: 'review_received',
+      title: 'You received a review',
+      message: `A buyer rated "${item.name}" ${rating}/5.`,
+      data: { review: review._id, product: review.product }
+    });
+
+    res.status(201).json({ success: true, review, message: 'Review posted' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'You have already reviewed this purchase' });
+    }
+    sendError(res, error, 'Error posting review');
+  }
+});
+
+// Public reviews of a seller, newest first, with their rating summary
+router.get('/seller/:sellerId', async (req, res) => {
+  try {
+    const seller = mongoose.Types.ObjectId.isValid(req.params.sellerId)
+      ? await User.findById(req.params.sellerId).select('name rating')
+      : null;
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller not found' });
+    }
+
+    const { items, pageInfo } = await paginate(Review, { seller: seller._id, status: 'published' }, {
+      ...parsePageParams(req.query),
+      sort: NEWEST_FIRST,
+      prepare: query => query
+        .select('-moderation')
+        .populate('buyer', 'name')
+        .populate('product', 'name')
+    });
+
+    res.json({ success: true, seller, reviews: items, pageInfo });
+  } catch (error) {
+    sendError(res, error, 'Error fetching reviews');
+  }
+});
+
+// The seller's single public reply: { text }
+router.post('/:id/reply', auth, async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (review.seller.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: 'Only the seller can reply to this review' });
+    }
+    if (review.status !== 'published') {
+      return res.status(400).json({ success: false, message: 'This review has been removed' });
+    }
+    if (!req.body.text?.trim()) {
+      return res.status(400).json({ success: false, message: 'Reply text is required' });
+    }
+
+    // Conditional update so two replies can't both land
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, 'reply.text': { $exists: false } },
+      { $set: { reply: { text: req.body.text.trim(), at: new Date() } } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'You have already replied to this review' });
+    }
+
+    notifyQuietly(review.buyer, {
+      type: 'review_reply',
+      title: 'The seller replied to your review',
+      message: updated.reply.text.slice(0, 200),
+      data: { review: review._id, product: review.product }
+    });
+
+    res.json({ success: true, review: updated, message: 'Reply posted' });
+  } catch (error) {
+    sendError(res, error, 'Error posting reply');
+  }
+});
+
+// Reviews for moderators, newest first (?status=removed for removed ones)
+router.get('/', [auth, requirePermission('reviews:moderate')], async (req, res) => {
+  try {
+    const status = req.query.status === 'removed' ? 'removed' : 'published';
+    const filter = { status };
+    if (req.query.seller && mongoose.Types.ObjectId.isValid(req.query.seller)) {
+      filter.seller = req.query.seller;
+    }
+
+    const { items, pageInfo } = await paginate(Review, filter, {
+      ...parsePageParams(req.query),
+      sort: NEWEST_FIRST,
+      prepare: query => query
+        .populate('buyer', 'name email')
+        .populate('seller', 'name email')
+        .populate('product', 'name')
+        .populate('moderation.moderatedBy', 'name email')
+    });
+
+    res.json({ success: true, reviews: items, pageInfo });
+  } catch (error) {
+    sendError(res, error, 'Error fetching reviews');
+  }
+});
+
+// Hide an abusive review and drop it from the seller's rating: { reason }
+router.put('/:id/remove', [auth, requirePermission('reviews:moderate')], async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (!req.body.reason?.trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    review.status = 'removed';
+    review.moderation = {
+      reason: req.body.reason.trim(),
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    };
+    await review.save();
+    await refreshSellerRating(review.seller);
+
+    res.json({ success: true, review, message: 'Review removed' });
+  } catch (error) {
+    sendError(res, error, 'Error removing review');
+  }
+});
+
+// Put a removed review back
+router.put('/:id/restore', [auth, requirePermission('reviews:moderate')], async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    review.status = 'published';
+    review.moderation = {
+      reason: undefined,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    };
+    await review.save();
+    await refreshSellerRating(review.seller);
+
+    res.json({ success: true, review, message: 'Review restored' });
+  } catch (error) {
+    sendError(res, error, 'Error restoring review');
+  }
+});
+
+module.exports = router;
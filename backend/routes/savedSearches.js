@@ -0,0 +1,157 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const auth = require('../middleware/auth');
+const { normalizeFilters } = require('../services/savedSearches');
+const { GeoError } = require('../services/geocoding');
+const { findCategory, CategoryError } = require('../services/categories');
+
+const router = express.Router();
+
+// Most saved searches one user can keep
+const MAX_SAVED_SEARCHES = 20;
+
+const FREQUENCIES = ['instant', 'daily'];
+
+// Validate a saved search's filters from the request body. Sends a 400 and
+// returns null when they're unusable.
+const readFilters = async (req, res) => {
+  let filters;
+  try {
+    filters = await normalizeFilters(req.body.filters);
+  } catch (error) {
+    if (error instanceof GeoError || error instanceof CategoryError) {
+      res.status(400).json({ success: false, message: error.message });
+      return null;
+    }
+    throw error;
+  }
+
+  if (filters.category && !await findCategory(filters.category)) {
+    res.status(400).json({ success: false, message: 'Invalid category' });
+    return null;
+  }
+  if (filters.minPrice != null && filters.maxPrice != null && filters.minPrice > filters.maxPrice) {
+    res.status(400).json({ success: false, message: 'minPrice cannot be greater than maxPrice' });
+    return null;
+  }
+  if (Object.keys(filters).length === 0) {
+    res.status(400).json({ success: false, message: 'Add a search term or at least one filter' });
+    return null;
+  }
+  return filters;
+};
+
+// Load one of the current user's saved searches
+const findOwnSearch = async (req, res) => {
+  const search = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await SavedSearch.findOne({ _id: req.params.id, user: req.user.id })
+    : null;
+  if (!search) {
+    res.status(404).json({ success: false, message: 'Saved search not found' });
+  }
+  return search;
+};
+
+// List the current user's saved searches, newest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id })
+      .select('-pendingMatches')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, savedSearches });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ success: false, message: 'Error fetching saved searches' });
+  }
+});
+
+// Save a search: { name, filters: { query, category, minPrice, ... }, frequency }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, frequency = 'instant' } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({ success: false, message: 'A name is required' });
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ success: false, message: `frequency must be one of: ${FREQUENCIES.join(', ')}` });
+    }
+
+    const filters = await readFilters(req, res);
+    if (!filters) return;
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep up to ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user.id,
+      name: name.trim(),
+      filters,
+      frequency
+    });
+
+    res.status(201).json({ success: true, savedSearch, message: 'Search saved' });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ success: false, message: 'Error saving search' });
+  }
+});
+
+// Edit a saved search. Any of name, filters, frequency and paused may be sent.
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await findOwnSearch(req, res);
+    if (!savedSearch) return;
+
+    const { name, frequency, paused } = req.body;
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ success: false, message: 'A name is required' });
+      }
+      savedSearch.name = String(name).trim();
+    }
+    if (frequency !== undefined) {
+      if (!FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ success: false, message: `frequency must be one of: ${FREQUENCIES.join(', ')}` });
+      }
+      savedSearch.frequency = frequency;
+    }
+    if (paused !== undefined) {
+      savedSearch.paused = paused === true || paused === 'true';
+    }
+    if (req.body.filters !== undefined) {
+      const filters = await readFilters(req, res);
+      if (!filters) return;
+      savedSearch.filters = filters;
+      // Queued matches were for the old filters
+      savedSearch.pendingMatches = [];
+    }
+
+    await savedSearch.save();
+    res.json({ success: true, savedSearch, message: 'Saved search updated' });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ success: false, message: 'Error updating saved search' });
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await findOwnSearch(req, res);
+    if (!savedSearch) return;
+
+    await savedSearch.deleteOne();
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ success: false, message: 'Error deleting saved search' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// Give existing listings a geo point by geocoding their location label
+// against the bundled places table.
+//
+//   npm run geocode:products -- [--dry-run]
+//
+// --dry-run  only report what would change
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Product = require('../models/Product');
+const { geocode, coarsenPoint } = require('../services/geocoding');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const backfill = async () => {
+  let updated = 0;
+  const unknown = new Map();
+
+  const cursor = Product.find({ geo: { $exists: false }, location: { $ne: '' } })
+    .select('location')
+    .cursor();
+  for await (const product of cursor) {
+    const geo = geocode(product.location);
+    if (!geo) {
+      unknown.set(product.location, (unknown.get(product.location) || 0) + 1);
+      continue;
+    }
+    updated++;
+    if (!dryRun) {
+      await Product.updateOne({ _id: product._id }, { $set: { geo, publicGeo: coarsenPoint(geo) } });
+    }
+  }
+
+  console.log(`Geocoded ${updated} products${dryRun ? ' (dry run)' : ''}`);
+  if (unknown.size > 0) {
+    console.log('Unrecognised locations:');
+    for (const [label, count] of unknown) {
+      console.log(`  ${label} (${count})`);
+    }
+  }
+};
+
+mongoose.connect(process.env.MONGO_URL)
+  .then(backfill)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Geocoding failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,124 @@
+// Move files from the local uploads/ directory into the configured storage
+// driver and rewrite "/uploads/<file>" references to storage keys.
+//
+//   npm run migrate:uploads -- [--dry-run] [--delete-local]
+//
+// --dry-run       only report what would change
+// --delete-local  remove the local copy once every reference is rewritten
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getStorage, getLegacyStorage, isLegacyPath, LEGACY_PREFIX } = require('../services/storage');
+
+const dryRun = process.argv.includes('--dry-run');
+const deleteLocal = process.argv.includes('--delete-local');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+// Every file under a directory, as paths relative to it
+const listFiles = async (directory, prefix = '') => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(path.join(directory, prefix), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relative = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(directory, relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+};
+
+const migrate = async () => {
+  const storage = getStorage();
+  const legacy = getLegacyStorage();
+  // Moving local files onto the same local directory only needs the rewrite
+  const sameLocation = storage.name === 'local'
+    && path.resolve(storage.directory) === path.resolve(legacy.directory);
+
+  const files = await listFiles(legacy.directory);
+  console.log(`Found ${files.length} local files, target driver: ${storage.name}${dryRun ? ' (dry run)' : ''}`);
+
+  if (!sameLocation) {
+    for (const file of files) {
+      const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+      console.log(`  copy ${file}`);
+      if (!dryRun) {
+        await storage.put(file, await legacy.get(file), contentType);
+      }
+    }
+  }
+
+  const toKey = value => (isLegacyPath(value) ? value.slice(LEGACY_PREFIX.length) : value);
+  const hasLegacy = values => values.some(isLegacyPath);
+
+  let products = 0;
+  const productCursor = Product.find({
+    $or: [{ images: /^\/uploads\// }, { 'imageVariants.full': /^\/uploads\// }]
+  }).cursor();
+  for await (const product of productCursor) {
+    const images = product.images.map(toKey);
+    const imageVariants = product.imageVariants.map(variants => ({
+      thumbnail: toKey(variants.thumbnail),
+      medium: toKey(variants.medium),
+      full: toKey(variants.full)
+    }));
+    products++;
+    if (!dryRun) {
+      await Product.updateOne({ _id: product._id }, { $set: { images, imageVariants } });
+    }
+  }
+
+  let orders = 0;
+  const orderCursor = Order.find({ 'items.images': /^\/uploads\// }).cursor();
+  for await (const order of orderCursor) {
+    const items = order.items.map(item => item.toObject());
+    if (!items.some(item => hasLegacy(item.images || []))) continue;
+    for (const item of items) {
+      item.images = (item.images || []).map(toKey);
+    }
+    orders++;
+    if (!dryRun) {
+      await Order.updateOne({ _id: order._id }, { $set: { items } });
+    }
+  }
+
+  console.log(`Rewrote ${products} products and ${orders} orders`);
+
+  if (deleteLocal && !sameLocation && !dryRun) {
+    for (const file of files) {
+      await legacy.delete(file);
+    }
+    console.log(`Deleted ${files.length} local files`);
+  }
+};
+
+mongoose.connect(process.env.MONGO_URL)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Upload migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
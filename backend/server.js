@@ -13,16 +13,31 @@ console.log("MONGO_URL:", process.env.MONGO_URL ? "Present" : "Missing");
 console.log("PORT:", process.env.PORT);
 console.log("CORS_ORIGIN:", process.env.CORS_ORIGIN);
 
+// Refuse to take real orders on a test payment setup
+try {
+  require("./services/payments").assertPaymentConfig();
+} catch (paymentError) {
+  console.error(paymentError.message);
+  process.exit(1);
+}
+
 const app = express();
 
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || "http://localhost:3000"
 }));
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files from local disk (the local storage driver and images
+// uploaded before a remote driver was configured)
+const { getLegacyStorage } = require("./services/storage");
+app.use('/uploads', getLegacyStorage().serve());
 
 // MongoDB Connection with Retry Logic
 const connectWithRetry = () => {
@@ -47,6 +62,22 @@ const connectWithRetry = () => {
       // Initialize models after connection
       const User = require("./models/User");
       const Product = require("./models/Product");
+      const Order = require("./models/Order");
+      const Payment = require("./models/Payment");
+      const Session = require("./models/Session");
+      const UserToken = require("./models/UserToken");
+      const ModerationLog = require("./models/ModerationLog");
+      const Conversation = require("./models/Conversation");
+      const Message = require("./models/Message");
+      const Notification = require("./models/Notification");
+      const SavedSearch = require("./models/SavedSearch");
+      const Favorite = require("./models/Favorite");
+      const Offer = require("./models/Offer");
+      const Review = require("./models/Review");
+      const Report = require("./models/Report");
+      const SuspensionLog = require("./models/SuspensionLog");
+      const Category = require("./models/Category");
+      const Job = require("./models/Job");
       // ======== NEW CODE START ========
       // Create database indexes programmatically
       try {
@@ -54,9 +85,91 @@ const connectWithRetry = () => {
         console.log("✅ Product indexes created successfully");
         await User.createIndexes();
         console.log("✅ User indexes created successfully");
+        await Order.createIndexes();
+        console.log("✅ Order indexes created successfully");
+        await Payment.createIndexes();
+        console.log("✅ Payment indexes created successfully");
+        await Session.createIndexes();
+        console.log("✅ Session indexes created successfully");
+        await UserToken.createIndexes();
+        console.log("✅ UserToken indexes created successfully");
+        await ModerationLog.createIndexes();
+        console.log("✅ ModerationLog indexes created successfully");
+        await Conversation.createIndexes();
+        console.log("✅ Conversation indexes created successfully");
+        await Message.createIndexes();
+        console.log("✅ Message indexes created successfully");
+        await Notification.createIndexes();
+        console.log("✅ Notification indexes created successfully");
+        await SavedSearch.createIndexes();
+        console.log("✅ SavedSearch indexes created successfully");
+        await Favorite.createIndexes();
+        console.log("✅ Favorite indexes created successfully");
+        await Offer.createIndexes();
+        console.log("✅ Offer indexes created successfully");
+        await Review.createIndexes();
+        console.log("✅ Review indexes created successfully");
+        await Report.createIndexes();
+        console.log("✅ Report indexes created successfully");
+        await SuspensionLog.createIndexes();
+        console.log("✅ SuspensionLog indexes created successfully");
+        await Category.createIndexes();
+        console.log("✅ Category indexes created successfully");
+        await Job.createIndexes();
+        console.log("✅ Job indexes created successfully");
       } catch (indexError) {
         console.error("❌ Index creation failed:", indexError);
       }
+
+      // Seed built-in roles and move isAdmin users onto them
+      try {
+        const { migrateLegacyAdmins } = require("./services/permissions");
+        const migrated = await migrateLegacyAdmins();
+        console.log("✅ Roles ready, migrated:", migrated);
+      } catch (roleError) {
+        console.error("❌ Role migration failed:", roleError);
+      }
+
+      // Seed the categories listings used before the taxonomy was editable
+      try {
+        await Category.seedDefaults();
+        console.log("✅ Categories ready");
+      } catch (categoryError) {
+        console.error("❌ Category seeding failed:", categoryError);
+      }
+
+      // Listings from before stock was tracked hold a single unit
+      try {
+        const backfilled = await Product.backfillStock();
+        console.log("✅ Stock ready, backfilled:", backfilled);
+      } catch (stockError) {
+        console.error("❌ Stock backfill failed:", stockError);
+      }
+
+      // Radius search runs on coarsened points; fill them in for older listings
+      try {
+        const backfilled = await Product.backfillPublicGeo();
+        console.log("✅ Search points ready, backfilled:", backfilled);
+      } catch (geoError) {
+        console.error("❌ Search point backfill failed:", geoError);
+      }
+
+      // Recurring background jobs, locked in MongoDB so that with several
+      // instances each run happens once
+      try {
+        await require("./services/scheduledJobs").startScheduledJobs();
+        console.log("✅ Job runner started");
+      } catch (jobError) {
+        console.error("❌ Job runner failed to start:", jobError);
+      }
+
+      // Deliver notifications created by any instance to this one's streams
+      try {
+        require("./services/notifications").startNotificationFeed();
+        console.log("✅ Notification feed started");
+      } catch (feedError) {
+        console.error("❌ Notification feed failed to start:", feedError);
+      }
       // ======== NEW CODE END ========
 
 
@@ -64,11 +177,37 @@ const connectWithRetry = () => {
       const authRoutes = require("./routes/auth");
       const productRoutes = require("./routes/products");
       const cartRoutes = require("./routes/cart");
+      const orderRoutes = require("./routes/orders");
+      const paymentRoutes = require("./routes/payments");
+      const adminRoutes = require("./routes/admin");
+      const conversationRoutes = require("./routes/conversations");
+      const notificationRoutes = require("./routes/notifications");
+      const savedSearchRoutes = require("./routes/savedSearches");
+      const favoriteRoutes = require("./routes/favorites");
+      const offerRoutes = require("./routes/offers");
+      const reviewRoutes = require("./routes/reviews");
+      const reportRoutes = require("./routes/reports");
+      const analyticsRoutes = require("./routes/analytics");
+      const categoryRoutes = require("./routes/categories");
+      const jobRoutes = require("./routes/jobs");
 
       // Routes
       app.use("/api/auth", authRoutes);
       app.use("/api/products", productRoutes);
       app.use("/api/cart", cartRoutes);
+      app.use("/api/orders", orderRoutes);
+      app.use("/api/payments", paymentRoutes);
+      app.use("/api/admin/analytics", analyticsRoutes);
+      app.use("/api/admin/jobs", jobRoutes);
+      app.use("/api/admin", adminRoutes);
+      app.use("/api/conversations", conversationRoutes);
+      app.use("/api/notifications", notificationRoutes);
+      app.use("/api/saved-searches", savedSearchRoutes);
+      app.use("/api/favorites", favoriteRoutes);
+      app.use("/api/offers", offerRoutes);
+      app.use("/api/reviews", reviewRoutes);
+      app.use("/api/reports", reportRoutes);
+      app.use("/api/categories", categoryRoutes);
 
       // Serve static files from the React app
       app.use(express.static(path.join(__dirname, "../frontend/build")));
@@ -0,0 +1,39 @@
+const { sendMail } = require('./mailer');
+const { issueOneTimeToken } = require('./tokens');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const appUrl = () => process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueOneTimeToken(user, 'verify_email');
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueOneTimeToken(user, 'reset_password');
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If that was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset your password. If that was you, click <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
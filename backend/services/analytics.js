@@ -0,0 +1,214 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const ModerationLog = require('../models/ModerationLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const INTERVALS = ['day', 'week'];
+
+// Raised for date range parameters that can't be used
+class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyticsError';
+  }
+}
+
+// Read ?from, ?to (ISO dates) and ?interval (day or week). Defaults to the
+// last 30 days by day.
+const parseRange = (query = {}) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new AnalyticsError('from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw new AnalyticsError('from must be before to');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AnalyticsError(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    throw new AnalyticsError(`interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  return { from, to, interval };
+};
+
+// Same bucket boundaries as $dateTrunc in UTC, weeks starting on Monday
+const truncate = (date, interval) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day;
+};
+
+const bucketExpression = (field, interval) => ({
+  $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday', timezone: 'UTC' }
+});
+
+// One row per bucket in the range, with zeroes where nothing happened, so
+// charts don't skip empty days
+const fillBuckets = ({ from, to, interval }, rows, empty) => {
+  const byBucket = new Map(rows.map(row => [row._id.getTime(), row]));
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  const series = [];
+  for (let bucket = truncate(from, interval); bucket < to; bucket = new Date(bucket.getTime() + step)) {
+    const { _id, ...values } = byBucket.get(bucket.getTime()) || {};
+    series.push({ period: bucket, ...empty, ...values });
+  }
+  return series;
+};
+
+const countPerBucket = async (Model, field, range) => {
+  const rows = await Model.aggregate([
+    { $match: { [field]: { $gte: range.from, $lt: range.to } } },
+    { $group: { _id: bucketExpression(`$${field}`, range.interval), count: { $sum: 1 } } }
+  ]);
+  return fillBuckets(range, rows, { count: 0 });
+};
+
+// New accounts per day or week
+const newUsers = (range) => countPerBucket(User, 'createdAt', range);
+
+// New listings per day or week
+const newListings = (range) => countPerBucket(Product, 'createdAt', range);
+
+// Listings created in the range, counted by status and by category
+const listingBreakdown = async ({ from, to }) => {
+  const [result] = await Product.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+        byCategory: [{ $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }]
+      }
+    }
+  ]);
+  return {
+    byStatus: result.byStatus.map(({ _id, count }) => ({ status: _id, count })),
+    byCategory: result.byCategory.map(({ _id, count }) => ({ category: _id, count }))
+  };
+};
+
+// Orders placed in the range, excluding cancelled ones. Orders hold the
+// price actually paid, which an accepted offer can make lower than the list price.
+const salesMatch = ({ from, to }) => ({ placedAt: { $gte: from, $lt: to }, status: { $ne: 'cancelled' } });
+
+// Orders, units and gross value per day or week
+const sales = async (range) => {
+  const rows = await Order.aggregate([
+    { $match: salesMatch(range) },
+    {
+      $group: {
+        _id: bucketExpression('$placedAt', range.interval),
+        orders: { $sum: 1 },
+        units: { $sum: { $sum: '$items.quantity' } },
+        grossValue: { $sum: '$totalAmount' }
+      }
+    }
+  ]);
+  return fillBuckets(range, rows, { orders: 0, units: 0, grossValue: 0 });
+};
+
+const median = (sorted) => {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const hours = (ms) => (ms === null ? null : Math.round(ms / (60 * 60 * 1000) * 10) / 10);
+
+// Milliseconds from the first `fromAction` to the first `toAction` logged
+// for each product whose `toAction` falls in the range, sorted
+const durationsBetween = async ({ from: start, to: end }, fromAction, toAction) => {
+  const [result] = await ModerationLog.aggregate([
+    { $match: { action: { $in: [fromAction, toAction] } } },
+    { $sort: { at: 1 } },
+    // The first occurrence of each action per product
+    { $group: { _id: { product: '$product', action: '$action' }, at: { $first: '$at' } } },
+    {
+      $group: {
+        _id: '$_id.product',
+        started: { $max: { $cond: [{ $eq: ['$_id.action', fromAction] }, '$at', null] } },
+        ended: { $max: { $cond: [{ $eq: ['$_id.action', toAction] }, '$at', null] } }
+      }
+    },
+    { $match: { ended: { $gte: start, $lt: end }, started: { $ne: null } } },
+    { $project: { duration: { $subtract: ['$ended', '$started'] } } },
+    { $match: { duration: { $gte: 0 } } },
+    { $sort: { duration: 1 } },
+    { $group: { _id: null, durations: { $push: '$duration' } } }
+  ]);
+  return result?.durations || [];
+};
+
+// Listings approved in the range: creation to first approval, in ms
+const creationToApproval = async ({ from, to }) => {
+  const [result] = await ModerationLog.aggregate([
+    { $match: { action: 'approve' } },
+    { $sort: { at: 1 } },
+    { $group: { _id: '$product', approvedAt: { $first: '$at' } } },
+    { $match: { approvedAt: { $gte: from, $lt: to } } },
+    { $lookup: { from: Product.collection.name, localField: '_id', foreignField: '_id', as: 'product' } },
+    { $unwind: '$product' },
+    { $project: { duration: { $subtract: ['$approvedAt', '$product.createdAt'] } } },
+    { $sort: { duration: 1 } },
+    { $group: { _id: null, durations: { $push: '$duration' } } }
+  ]);
+  return result?.durations || [];
+};
+
+// Median hours from creation to approval and from approval to sale
+const medianTimes = async (range) => {
+  const [toApproval, toSale] = await Promise.all([
+    creationToApproval(range),
+    durationsBetween(range, 'approve', 'sell')
+  ]);
+  return {
+    creationToApproval: { medianHours: hours(median(toApproval)), count: toApproval.length },
+    approvalToSale: { medianHours: hours(median(toSale)), count: toSale.length }
+  };
+};
+
+// Sellers with the highest gross sales in the range
+const topSellers = async (range, limit = 10) => {
+  const rows = await Order.aggregate([
+    { $match: salesMatch(range) },
+    {
+      $group: {
+        _id: '$seller',
+        sellerName: { $last: '$sellerName' },
+        orders: { $sum: 1 },
+        units: { $sum: { $sum: '$items.quantity' } },
+        grossValue: { $sum: '$totalAmount' }
+      }
+    },
+    { $sort: { grossValue: -1, orders: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } }
+  ]);
+  return rows.map(row => ({
+    seller: row._id,
+    name: row.user[0]?.name || row.sellerName,
+    email: row.user[0]?.email || null,
+    orders: row.orders,
+    units: row.units,
+    grossValue: row.grossValue
+  }));
+};
+
+module.exports = {
+  AnalyticsError,
+  parseRange,
+  newUsers,
+  newListings,
+  listingBreakdown,
+  sales,
+  medianTimes,
+  topSellers
+};
@@ -0,0 +1,257 @@
+const Category = require('../models/Category');
+
+// Listings without a category land here; it can't be removed or deactivated
+const DEFAULT_CATEGORY = 'other';
+
+// Longest free-text attribute value
+const MAX_TEXT_LENGTH = 100;
+
+// The taxonomy is small and rarely edited, so it's kept in memory for a
+// short while and reloaded after every admin change
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+// Raised for an unknown category or attribute values that don't fit its schema
+class CategoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CategoryError';
+    this.status = status;
+  }
+}
+
+const loadCategories = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache;
+  }
+
+  const list = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+  cache = {
+    list,
+    bySlug: new Map(list.map(category => [category.slug, category])),
+    byId: new Map(list.map(category => [category._id.toString(), category])),
+    expiresAt: Date.now() + CACHE_TTL_MS
+  };
+  return cache;
+};
+
+const clearCategoryCache = () => {
+  cache = null;
+};
+
+const findCategory = async (slug) => (await loadCategories()).bySlug.get(String(slug || '')) || null;
+
+// A category's attribute definitions including inherited ones. A
+// subcategory can redefine an inherited key, e.g. to make it required.
+const attributesOf = (category, { byId }) => {
+  const chain = [
+    ...category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+    category
+  ];
+  const byKey = new Map();
+  for (const item of chain) {
+    for (const attribute of item.attributes) {
+      byKey.set(attribute.key, attribute);
+    }
+  }
+  return [...byKey.values()];
+};
+
+// The slug plus every slug below it, so searching "clothes" finds jackets
+const subtreeSlugs = async (slug) => {
+  const { list, bySlug } = await loadCategories();
+  const category = bySlug.get(slug);
+  if (!category) return [slug];
+  return [
+    slug,
+    ...list.filter(item => item.ancestors.some(id => id.equals(category._id))).map(item => item.slug)
+  ];
+};
+
+// The slug plus every slug above it, for matching filters set on a parent
+const lineageSlugs = async (slug) => {
+  const categories = await loadCategories();
+  const category = categories.bySlug.get(slug);
+  if (!category) return [slug];
+  return [
+    slug,
+    ...category.ancestors.map(id => categories.byId.get(id.toString())?.slug).filter(Boolean)
+  ];
+};
+
+// Attributes arrive as an object (JSON or bracket fields) or as a JSON
+// string from multipart forms
+const parseAttributeInput = (input) => {
+  if (input == null || input === '') return {};
+  let value = input;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new CategoryError('attributes must be a JSON object');
+    }
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new CategoryError('attributes must be an object');
+  }
+  return value;
+};
+
+const toNumber = (label, raw) => {
+  const value = typeof raw === 'number' ? raw : parseFloat(raw);
+  if (!Number.isFinite(value)) {
+    throw new CategoryError(`${label} must be a number`);
+  }
+  return value;
+};
+
+// Convert one submitted value to the attribute's type, within its limits
+const coerceValue = (definition, raw) => {
+  const { label } = definition;
+  if (typeof raw === 'object') {
+    throw new CategoryError(`${label} must be a single value`);
+  }
+
+  switch (definition.type) {
+    case 'number': {
+      const value = toNumber(label, raw);
+      if (definition.min != null && value < definition.min) {
+        throw new CategoryError(`${label} must be at least ${definition.min}`);
+      }
+      if (definition.max != null && value > definition.max) {
+        throw new CategoryError(`${label} must be at most ${definition.max}`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      throw new CategoryError(`${label} must be true or false`);
+    case 'enum': {
+      const option = definition.options.find(item => item.toLowerCase() === String(raw).trim().toLowerCase());
+      if (!option) {
+        throw new CategoryError(`${label} must be one of: ${definition.options.join(', ')}`);
+      }
+      return option;
+    }
+    default: {
+      const value = String(raw).trim();
+      if (value.length > MAX_TEXT_LENGTH) {
+        throw new CategoryError(`${label} can be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return value;
+    }
+  }
+};
+
+// Check a listing's category and attributes against the taxonomy and return
+// what to store. A listing may keep a category that was deactivated after
+// it was created, but new ones can't pick it.
+const validateListing = async ({ category, attributes }, currentCategory = null) => {
+  const slug = category?.trim() || DEFAULT_CATEGORY;
+  const categories = await loadCategories();
+  const found = categories.bySlug.get(slug);
+  if (!found || (!found.isActive && slug !== currentCategory)) {
+    throw new CategoryError('Invalid category');
+  }
+
+  const definitions = attributesOf(found, categories);
+  const values = parseAttributeInput(attributes);
+  const known = new Set(definitions.map(definition => definition.key));
+  const unknown = Object.keys(values).filter(key => !known.has(key));
+  if (unknown.length > 0) {
+    throw new CategoryError(`Unknown attributes for ${found.name}: ${unknown.join(', ')}`);
+  }
+
+  const result = {};
+  for (const definition of definitions) {
+    const raw = values[definition.key];
+    if (raw == null || raw === '') {
+      if (definition.required) {
+        throw new CategoryError(`${definition.label} is required for ${found.name}`);
+      }
+      continue;
+    }
+    result[definition.key] = coerceValue(definition, raw);
+  }
+  return { category: slug, attributes: result };
+};
+
+// Turn ?attributes[key]=... search params into filters keyed by attribute:
+// a list of accepted values ("42,43" or repeated params), or { min, max }
+// for numbers. Only filterable attributes of the chosen category are allowed.
+const parseAttributeFilters = async (slug, input) => {
+  const values = parseAttributeInput(input);
+  const keys = Object.keys(values);
+  if (keys.length === 0) return {};
+
+  const categories = await loadCategories();
+  const category = slug ? categories.bySlug.get(slug) : null;
+  if (!category) {
+    throw new CategoryError('Filtering on attributes needs a category');
+  }
+  const definitions = new Map(
+    attributesOf(category, categories)
+      .filter(definition => definition.filterable)
+      .map(definition => [definition.key, definition])
+  );
+
+  const filters = {};
+  for (const key of keys) {
+    const definition = definitions.get(key);
+    if (!definition) {
+      throw new CategoryError(`${category.name} has no attribute "${key}" to filter on`);
+    }
+
+    const raw = values[key];
+    if (definition.type === 'number' && raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      const range = {};
+      if (raw.min != null && raw.min !== '') range.min = toNumber(definition.label, raw.min);
+      if (raw.max != null && raw.max !== '') range.max = toNumber(definition.label, raw.max);
+      if (Object.keys(range).length === 0) continue;
+      filters[key] = range;
+      continue;
+    }
+
+    const accepted = (Array.isArray(raw) ? raw : String(raw).split(','))
+      .map(item => (typeof item === 'string' ? item.trim() : item))
+      .filter(item => item !== '' && item != null);
+    if (accepted.length === 0) continue;
+    filters[key] = accepted.map(item => (
+      definition.type === 'number' ? toNumber(definition.label, item) : coerceValue({ ...definition, min: null, max: null }, item)
+    ));
+  }
+  return filters;
+};
+
+// A listing attribute, whether the product is a document (Map) or plain object
+const attributeValue = (attributes, key) => (
+  attributes instanceof Map ? attributes.get(key) : attributes?.[key]
+);
+
+// Whether listing attributes pass filters from parseAttributeFilters.
+// Text compares case-insensitively, like the search endpoint.
+const matchesAttributeFilters = (filters, attributes) => Object.entries(filters || {}).every(([key, filter]) => {
+  const value = attributeValue(attributes, key);
+  if (value == null) return false;
+  if (Array.isArray(filter)) {
+    return filter.some(item => String(item).toLowerCase() === String(value).toLowerCase());
+  }
+  if (filter.min != null && value < filter.min) return false;
+  if (filter.max != null && value > filter.max) return false;
+  return true;
+});
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  CategoryError,
+  loadCategories,
+  clearCategoryCache,
+  findCategory,
+  attributesOf,
+  subtreeSlugs,
+  lineageSlugs,
+  validateListing,
+  parseAttributeFilters,
+  matchesAttributeFilters
+};
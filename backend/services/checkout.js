@@ -0,0 +1,448 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Payment = require('../models/Payment');
+const { getPaymentProvider, PaymentError } = require('./payments');
+const { snapshot, recordTransition } = require('./moderation');
+const { notifyQuietly, notifyCartHoldersQuietly, notifyWatchersQuietly } = require('./notifications');
+const { settleOffersForSale, notifyCancelledOffers } = require('./offers');
+const { expiryFrom } = require('./listingExpiry');
+
+// Raised when one or more products can't be purchased. `failures` lists
+// every offending item so the client can tell the buyer what went wrong.
+class CheckoutError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.failures = failures;
+  }
+}
+
+const holdsReservation = (product, buyerId) => (
+  product.activeReservation()?.buyer.toString() === buyerId.toString()
+);
+
+// Units this buyer can take. A live reservation for someone else keeps one
+// unit back.
+const availableFor = (product, buyerId) => {
+  const reservation = product.activeReservation();
+  const heldForOthers = reservation && reservation.buyer.toString() !== buyerId.toString() ? 1 : 0;
+  return Math.max(product.stock - heldForOthers, 0);
+};
+
+// Work out why `quantity` units of a product can't be bought right now, or
+// null if they can
+const unavailableReason = (product, buyerId, quantity = 1) => {
+  if (!product) {
+    return { reason: 'not_found', message: 'Product not found' };
+  }
+  if (product.status === 'sold') {
+    return { reason: 'sold', message: 'This product has already been sold' };
+  }
+  if (!product.isActive) {
+    return { reason: 'inactive', message: 'This product is no longer listed' };
+  }
+  if (product.status !== 'approved') {
+    return { reason: 'not_approved', message: 'This product is not available for purchase' };
+  }
+  if (product.seller._id.toString() === buyerId.toString()) {
+    return { reason: 'own_listing', message: 'You cannot buy your own listing' };
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { reason: 'invalid_quantity', message: 'Quantity must be a whole number of at least 1' };
+  }
+  if (holdsReservation(product, buyerId) && quantity > 1) {
+    return { reason: 'reserved_quantity', message: 'Your agreed price covers a single unit' };
+  }
+  const available = availableFor(product, buyerId);
+  if (available === 0 && product.activeReservation()) {
+    return { reason: 'reserved', message: 'This product is reserved for another buyer' };
+  }
+  if (quantity > available) {
+    return { reason: 'insufficient_stock', message: `Only ${available} left in stock` };
+  }
+  return null;
+};
+
+// What this buyer pays per unit: the agreed price while their accepted
+// offer holds the item, the list price otherwise
+const priceFor = (product, buyerId) => (
+  holdsReservation(product, buyerId) ? product.reservation.price : product.price
+);
+
+const loadProducts = (ids, session = null) => {
+  const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+  return Product.find({ _id: { $in: validIds } })
+    .populate('seller', 'name')
+    .session(session);
+};
+
+// Throw a CheckoutError listing every product that can't be bought in the
+// requested quantity
+const assertAvailable = (quantities, products, buyerId, expectedPrices = null) => {
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  const failures = [];
+
+  for (const [id, quantity] of quantities) {
+    const product = byId.get(id);
+    let problem = unavailableReason(product, buyerId, quantity);
+    if (!problem && expectedPrices && expectedPrices.get(id) !== priceFor(product, buyerId)) {
+      problem = { reason: 'price_changed', message: 'The price of this product changed during checkout' };
+    }
+    if (problem) {
+      failures.push({ productId: id, name: product?.name, ...problem });
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new CheckoutError('Some items are no longer available', failures);
+  }
+};
+
+// Authorize and capture the full amount. Card data never reaches the
+// server, only the token the client obtained from the provider.
+const chargeBuyer = async ({ buyerId, products, amount, paymentToken }) => {
+  const provider = getPaymentProvider();
+  const payment = await Payment.create({
+    buyer: buyerId,
+    products: products.map(product => product._id),
+    amount,
+    currency: process.env.PAYMENT_CURRENCY || 'usd',
+    provider: provider.name
+  });
+
+  let authorization;
+  try {
+    authorization = await provider.authorize({
+      amount: payment.amount,
+      currency: payment.currency,
+      token: paymentToken,
+      reference: payment._id.toString()
+    });
+  } catch (error) {
+    // A rejected token is a decline; anything else is on the provider's side
+    payment.transition(error instanceof PaymentError ? 'declined' : 'failed', error.message);
+    await payment.save();
+    throw error;
+  }
+  payment.providerRef = authorization.id;
+
+  if (authorization.status !== 'authorized') {
+    payment.transition('declined', authorization.message);
+    await payment.save();
+    throw new PaymentError(authorization.message || 'Payment was declined', 'declined');
+  }
+  payment.transition('authorized');
+
+  let capture;
+  try {
+    capture = await provider.capture(authorization.id, payment.amount);
+  } catch (error) {
+    payment.transition('failed', error.message);
+    await payment.save();
+    throw error;
+  }
+  if (capture.status !== 'captured') {
+    payment.transition('failed', capture.message);
+    await payment.save();
+    throw new PaymentError(capture.message || 'Payment could not be captured', 'capture_failed');
+  }
+  payment.transition('captured');
+  await payment.save();
+
+  return payment;
+};
+
+// Give a captured payment back. A refund the provider refuses or errors on
+// leaves the buyer charged, so it is recorded as refund_failed for an admin
+// to retry rather than as a failed charge. Returns whether it went through.
+const refundPayment = async (payment, reason) => {
+  let result;
+  try {
+    result = await getPaymentProvider().refund(payment.providerRef, payment.amount);
+  } catch (error) {
+    result = { status: 'failed', message: error.message };
+  }
+  const refunded = result.status === 'refunded';
+  if (refunded) {
+    payment.transition('refunded', reason);
+  } else {
+    payment.transition('refund_failed', `${reason}: ${result.message || 'refund failed'}`);
+  }
+  await payment.save();
+  return refunded;
+};
+
+// Charge the buyer, then take the units out of stock and create one order
+// per seller in a single transaction. `items` are { product, quantity }
+// pairs. Stock only drops once the payment is captured and a listing is
+// marked sold when its last unit goes; if the transaction fails the
+// payment is refunded.
+const checkoutProducts = async ({ buyerId, items, shippingAddress, paymentToken, clearFromCart = false }) => {
+  const quantities = new Map();
+  for (const { product, quantity = 1 } of items) {
+    const id = String(product);
+    quantities.set(id, (quantities.get(id) || 0) + quantity);
+  }
+  const uniqueIds = [...quantities.keys()];
+
+  // Fail fast before charging the buyer
+  const available = await loadProducts(uniqueIds);
+  assertAvailable(quantities, available, buyerId);
+  const chargedPrices = new Map(available.map(product => [product._id.toString(), priceFor(product, buyerId)]));
+
+  const payment = await chargeBuyer({
+    buyerId,
+    products: available,
+    amount: [...chargedPrices].reduce((sum, [id, price]) => sum + price * quantities.get(id), 0),
+    paymentToken
+  });
+
+  const session = await mongoose.startSession();
+  let orders;
+  let soldOut;
+  let cancelledOffers;
+
+  try {
+    // withTransaction may retry the callback on transient errors, so all
+    // state is rebuilt inside it
+    await session.withTransaction(async () => {
+      const soldAt = new Date();
+      const products = await loadProducts(uniqueIds, session);
+      assertAvailable(quantities, products, buyerId, chargedPrices);
+
+      // Conditional decrement guards against other buyers taking the stock
+      // first and keeps back the unit a live reservation holds for someone
+      // else, including one whose offer was accepted meanwhile
+      const failures = [];
+      soldOut = [];
+      for (const product of products) {
+        const quantity = quantities.get(product._id.toString());
+        const ownReservation = holdsReservation(product, buyerId);
+        const updated = await Product.findOneAndUpdate(
+          {
+            _id: product._id,
+            status: 'approved',
+            isActive: true,
+            ...(ownReservation
+              ? { 'reservation.buyer': buyerId, 'reservation.until': { $gt: soldAt }, stock: { $gte: quantity } }
+              : {
+                $or: [
+                  { 'reservation.until': { $exists: false }, stock: { $gte: quantity } },
+                  { 'reservation.until': { $lte: soldAt }, stock: { $gte: quantity } },
+                  { stock: { $gte: quantity + 1 } }
+                ]
+              })
+          },
+          {
+            $inc: { stock: -quantity, unitsSold: quantity },
+            ...(ownReservation ? { $unset: { reservation: 1 } } : {})
+          },
+          { session, new: true }
+        );
+        if (!updated) {
+          failures.push({
+            productId: product._id.toString(),
+            name: product.name,
+            reason: 'insufficient_stock',
+            message: 'Another buyer bought the remaining stock'
+          });
+          continue;
+        }
+        product.stock = updated.stock;
+        if (updated.stock > 0) continue;
+
+        // The last unit is gone
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: { status: 'sold', buyer: buyerId, soldAt, isActive: false }, $unset: { reservation: 1 } },
+          { session }
+        );
+        const before = snapshot(product);
+        product.status = 'sold';
+        product.isActive = false;
+        await recordTransition({ product, before, actor: buyerId, action: 'sell', session });
+        soldOut.push(product);
+      }
+      if (failures.length > 0) {
+        throw new CheckoutError('Some items are no longer available', failures);
+      }
+
+      // Group the purchase per seller, one order each
+      const groups = new Map();
+      for (const product of products) {
+        const sellerId = product.seller._id.toString();
+        if (!groups.has(sellerId)) {
+          groups.set(sellerId, { seller: product.seller, products: [] });
+        }
+        groups.get(sellerId).products.push(product);
+      }
+
+      orders = [];
+      for (const { seller, products: sellerProducts } of groups.values()) {
+        const items = sellerProducts.map(product => {
+          const id = product._id.toString();
+          return Order.snapshotItem(product, quantities.get(id), chargedPrices.get(id));
+        });
+        const [order] = await Order.create([{
+          buyer: buyerId,
+          seller: seller._id,
+          sellerName: seller.name,
+          items,
+          totalAmount: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+          shippingAddress,
+          payment: payment._id,
+          placedAt: soldAt
+        }], { session });
+
+        await Product.updateMany(
+          { _id: { $in: sellerProducts.filter(product => soldOut.includes(product)).map(product => product._id) } },
+          { $set: { order: order._id } },
+          { session }
+        );
+        orders.push(order);
+      }
+
+      // Linked in the same transaction, so a refund webhook always finds
+      // the orders it has to reverse
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { orders: orders.map(order => order._id) } },
+        { session }
+      );
+
+      cancelledOffers = await settleOffersForSale({
+        buyerId,
+        orders,
+        soldOut: soldOut.map(product => product._id),
+        session
+      });
+
+      if (clearFromCart) {
+        await Cart.updateOne(
+          { user: buyerId },
+          {
+            $pull: { items: { product: { $in: products.map(product => product._id) } } },
+            $set: { updatedAt: new Date() }
+          },
+          { session }
+        );
+      }
+    });
+  } catch (error) {
+    // The buyer needs to hear why checkout failed, not that the refund did
+    try {
+      await refundPayment(payment, `Checkout failed: ${error.message}`);
+    } catch (refundError) {
+      console.error(`Error refunding payment ${payment._id}:`, refundError);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  payment.orders = orders.map(order => order._id);
+
+  for (const order of orders) {
+    notifyQuietly(order.seller, {
+      type: 'product_sold',
+      title: 'You made a sale',
+      message: `${order.items.map(item => `${item.quantity > 1 ? `${item.quantity} × ` : ''}"${item.name}"`).join(', ')} sold (order ${order.orderNumber}).`,
+      data: { order: order._id, products: order.items.map(item => item.product) }
+    });
+  }
+  notifyCartHoldersQuietly(soldOut, { excludeUser: buyerId, reason: 'has been sold' });
+  notifyCancelledOffers(cancelledOffers);
+  for (const product of soldOut) {
+    notifyWatchersQuietly(product, {
+      type: 'favorite_sold',
+      title: 'An item you are watching was sold',
+      message: `"${product.name}" has been sold.`
+    }, { excludeUser: buyerId });
+  }
+
+  return { orders, payment };
+};
+
+// Put an order item's units back on the listing. A sold-out listing goes
+// back on sale with a fresh expiry, as when the seller restocks it.
+const restoreUnits = async (item, actor, session) => {
+  const quantity = item.quantity || 1;
+  const inStock = await Product.updateOne(
+    { _id: item.product, status: { $ne: 'sold' } },
+    { $inc: { stock: quantity, unitsSold: -quantity } },
+    { session }
+  );
+  if (inStock.matchedCount === 1) return;
+
+  const before = await Product.findOne({ _id: item.product, status: 'sold' }).session(session);
+  if (!before) return;
+  const product = await Product.findOneAndUpdate(
+    { _id: item.product, status: 'sold' },
+    {
+      $inc: { stock: quantity, unitsSold: -quantity },
+      $set: { status: 'approved', isActive: true, expiresAt: expiryFrom() },
+      $unset: { soldAt: 1, buyer: 1, order: 1, expiryReminderSentAt: 1, expiredAt: 1 }
+    },
+    { session, new: true }
+  );
+  await recordTransition({
+    product,
+    before: snapshot(before),
+    actor,
+    action: 'refund',
+    note: 'The payment was reversed',
+    session
+  });
+};
+
+// Undo the sale behind a captured payment that was later refunded or
+// failed. Its orders are cancelled; units of orders that haven't shipped
+// go back into stock, while shipped ones have already left the seller.
+const reverseSale = async (payment) => {
+  const session = await mongoose.startSession();
+  let cancelled;
+  try {
+    await session.withTransaction(async () => {
+      cancelled = [];
+      const orders = await Order.find({ _id: { $in: payment.orders }, status: { $ne: 'cancelled' } }).session(session);
+      for (const order of orders) {
+        const unshipped = order.status === 'placed';
+        order.status = 'cancelled';
+        await order.save({ session });
+        if (unshipped) {
+          for (const item of order.items) {
+            await restoreUnits(item, payment.buyer, session);
+          }
+        }
+        cancelled.push(order);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const order of cancelled) {
+    for (const userId of [order.buyer, order.seller]) {
+      notifyQuietly(userId, {
+        type: 'order_cancelled',
+        title: 'An order was cancelled',
+        message: `Order ${order.orderNumber} was cancelled because its payment was ${payment.status}.`,
+        data: { order: order._id, payment: payment._id }
+      });
+    }
+  }
+  return cancelled;
+};
+
+module.exports = {
+  CheckoutError,
+  PaymentError,
+  availableFor,
+  unavailableReason,
+  priceFor,
+  checkoutProducts,
+  refundPayment,
+  reverseSale
+};
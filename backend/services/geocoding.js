@@ -0,0 +1,101 @@
+const places = require('../data/places.json');
+
+// Decimal places kept when coordinates are shown to other users; two
+// places is roughly a kilometre, enough for pickup distance but not an address
+const PUBLIC_PRECISION = 2;
+
+// Raised for coordinates a client sent that can't be a point on Earth
+class GeoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeoError';
+  }
+}
+
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Known names, normalized once. Areas keep their city so "DHA, Lahore" and
+// "DHA Karachi" resolve to different places.
+const entries = places.map(place => ({
+  names: [place.name, ...(place.aliases || [])].map(normalize),
+  city: place.city ? normalize(place.city) : null,
+  coordinates: place.coordinates
+}));
+
+const mentions = (label, name) => ` ${label} `.includes(` ${name} `);
+
+const toPoint = (coordinates) => ({ type: 'Point', coordinates: [...coordinates] });
+
+// Map a free-text location label to a GeoJSON point using the bundled
+// places table. Returns null when nothing in the label is recognised.
+const geocode = (label) => {
+  const text = normalize(label);
+  if (!text) return null;
+
+  const cities = entries.filter(entry => !entry.city && entry.names.some(name => mentions(text, name)));
+  const areas = entries.filter(entry => entry.city && entry.names.some(name => mentions(text, name)));
+
+  // An area is only trusted when its city is named too, or its name is unique
+  const area = areas.find(entry => cities.some(city => city.names.includes(entry.city)))
+    || (areas.length === 1 && !cities.length ? areas[0] : null);
+  if (area) return toPoint(area.coordinates);
+  if (cities.length) return toPoint(cities[0].coordinates);
+  return null;
+};
+
+// Read lat/lng from request input. Returns null when neither is given.
+const parseCoordinates = (lat, lng) => {
+  const hasLat = lat !== undefined && lat !== null && lat !== '';
+  const hasLng = lng !== undefined && lng !== null && lng !== '';
+  if (!hasLat && !hasLng) return null;
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!hasLat || !hasLng || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new GeoError('Both lat and lng must be numbers');
+  }
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    throw new GeoError('lat must be between -90 and 90 and lng between -180 and 180');
+  }
+  return toPoint([longitude, latitude]);
+};
+
+// The point to store for a listing: coordinates sent by the seller win,
+// otherwise the label is geocoded
+const resolveLocation = ({ lat, lng, location }) => parseCoordinates(lat, lng) || geocode(location);
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance between two points in kilometres
+const distanceKm = (a, b) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const [lng1, lat1] = a.coordinates.map(toRadians);
+  const [lng2, lat2] = b.coordinates.map(toRadians);
+  const h = Math.sin((lat2 - lat1) / 2) ** 2
+    + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const round = (value, precision) => Math.round(value * 10 ** precision) / 10 ** precision;
+
+// Public copy of a stored point with the precision reduced
+const coarsenPoint = (point) => {
+  if (!point?.coordinates?.length) return point;
+  return {
+    type: point.type,
+    coordinates: point.coordinates.map(value => round(value, PUBLIC_PRECISION))
+  };
+};
+
+module.exports = {
+  GeoError,
+  PUBLIC_PRECISION,
+  geocode,
+  parseCoordinates,
+  resolveLocation,
+  distanceKm,
+  coarsenPoint
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage, removeFile } = require('./storage');
+
+// Longest edge in pixels for each stored variant
+const VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  full: 1600
+};
+
+// Raised when an upload isn't an image we accept
+class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
+
+// Identify an image by its magic bytes instead of trusting the client's
+// MIME type. Returns the format name or null.
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (['avif', 'avis'].includes(brand)) return 'avif';
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  return null;
+};
+
+// Verify, clean and resize one upload. Every variant is re-encoded as WebP,
+// which also drops EXIF data such as GPS coordinates. Returns the storage
+// keys of the variants, stored under `prefix`.
+const processImage = async (buffer, { prefix = 'products' } = {}) => {
+  const type = detectImageType(buffer);
+  // Recognised so the error can say so: sharp's prebuilt binaries can't
+  // decode HEIC, only AVIF from the same container family
+  if (type === 'heic') {
+    throw new ImageError('HEIC images are not supported, please upload a JPEG or PNG instead');
+  }
+  if (!type) {
+    throw new ImageError('Only JPEG, PNG, GIF, WebP and AVIF images are allowed');
+  }
+
+  // Encode every variant first so a broken file fails before anything is
+  // stored. The input is decoded once and cloned for each size.
+  const outputs = {};
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const image = sharp(buffer).rotate();
+    for (const [variant, size] of Object.entries(VARIANTS)) {
+      outputs[variant] = await image.clone()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: variant === 'thumbnail' ? 70 : 80 })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw new ImageError('The uploaded file could not be read as an image');
+  }
+
+  const storage = getStorage();
+  const baseName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  const variants = {};
+  try {
+    for (const [variant, output] of Object.entries(outputs)) {
+      variants[variant] = await storage.put(`${prefix}/${baseName}-${variant}.webp`, output, 'image/webp');
+    }
+  } catch (error) {
+    await deleteImageFiles(Object.values(variants));
+    throw error;
+  }
+
+  return variants;
+};
+
+// Process several uploads; nothing is left on disk if one of them fails
+const processImages = async (files, options) => {
+  const processed = [];
+  try {
+    for (const file of files) {
+      processed.push(await processImage(file.buffer, options));
+    }
+  } catch (error) {
+    await deleteImageFiles(processed.flatMap(variants => Object.values(variants)));
+    throw error;
+  }
+  return processed;
+};
+
+// Remove stored files by their storage keys (or legacy /uploads/... paths)
+const deleteImageFiles = async (imageKeys) => {
+  for (const imageKey of imageKeys) {
+    try {
+      await removeFile(imageKey);
+    } catch (error) {
+      console.error('Error deleting file:', error);
+    }
+  }
+};
+
+// Every stored file belonging to a product, including legacy single-file images
+const productImageFiles = (product) => {
+  const files = new Set(product.images || []);
+  for (const variants of product.imageVariants || []) {
+    for (const variant of Object.keys(VARIANTS)) {
+      if (variants[variant]) files.add(variants[variant]);
+    }
+  }
+  return [...files];
+};
+
+// A product's images as { thumbnail, medium, full } entries in display
+// order. Legacy images without variants use the original for every size.
+const imageEntries = (product) => (product.images || []).map((full, i) => {
+  const variants = product.imageVariants?.[i];
+  if (variants && variants.full === full) {
+    return { thumbnail: variants.thumbnail, medium: variants.medium, full };
+  }
+  return { thumbnail: full, medium: full, full };
+});
+
+// Write entries back, keeping images and imageVariants aligned
+const setImageEntries = (product, entries) => {
+  product.images = entries.map(entry => entry.full);
+  product.imageVariants = entries.map(({ thumbnail, medium, full }) => ({ thumbnail, medium, full }));
+};
+
+module.exports = {
+  VARIANTS,
+  imageEntries,
+  setImageEntries,
+  ImageError,
+  detectImageType,
+  processImage,
+  processImages,
+  deleteImageFiles,
+  productImageFiles
+};
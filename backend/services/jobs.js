@@ -0,0 +1,167 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// How often each instance looks for due jobs
+const POLL_INTERVAL_MS = 30 * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+// Longer than any job should take; a lock older than this belonged to an
+// instance that died mid-run and can be taken over
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+// Identifies this process in locks and run history
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(2).toString('hex')}`;
+
+// Handlers registered in this process, by job name
+const definitions = new Map();
+
+// Register a recurring job: { name, everyMs, run, maxAttempts, retryDelayMs,
+// lockMs }. Its document is created on first start with the job due
+// straight away; later starts only pick up a changed interval.
+const defineJob = async ({
+  name,
+  everyMs,
+  run,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  lockMs = DEFAULT_LOCK_MS
+}) => {
+  definitions.set(name, { name, everyMs, run, maxAttempts, retryDelayMs, lockMs });
+  await Job.updateOne(
+    { name },
+    { $set: { intervalMs: everyMs }, $setOnInsert: { nextRunAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+// Take the lock on a due job. The update is atomic, so when several
+// instances poll at once only one of them gets it.
+const claim = (definition, now) => Job.findOneAndUpdate(
+  {
+    name: definition.name,
+    nextRunAt: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  },
+  {
+    $set: {
+      status: 'running',
+      lockedBy: instanceId,
+      lockedUntil: new Date(now.getTime() + definition.lockMs),
+      lastStartedAt: now
+    }
+  },
+  { new: true }
+);
+
+// Run a claimed job and record the outcome. A failure is retried after
+// retryDelayMs, doubling each time, until maxAttempts; then the job waits
+// for its next regular run.
+const runJob = async (definition, job) => {
+  const startedAt = job.lastStartedAt;
+  const attempt = job.attempts + 1;
+  const update = { $set: {}, $inc: {} };
+  const entry = { startedAt, attempt, instance: instanceId };
+
+  try {
+    const result = await definition.run();
+    const finishedAt = new Date();
+    Object.assign(update.$set, {
+      status: 'idle',
+      attempts: 0,
+      nextRunAt: new Date(startedAt.getTime() + definition.everyMs),
+      lastFinishedAt: finishedAt,
+      lastSucceededAt: finishedAt
+    });
+    update.$inc.runCount = 1;
+    Object.assign(entry, { outcome: 'succeeded', finishedAt, result });
+  } catch (error) {
+    console.error(`Job ${definition.name} failed (attempt ${attempt} of ${definition.maxAttempts}):`, error);
+    const finishedAt = new Date();
+    const retry = attempt < definition.maxAttempts;
+    Object.assign(update.$set, {
+      status: retry ? 'retrying' : 'failed',
+      attempts: retry ? attempt : 0,
+      nextRunAt: retry
+        ? new Date(finishedAt.getTime() + definition.retryDelayMs * 2 ** (attempt - 1))
+        : new Date(startedAt.getTime() + definition.everyMs),
+      lastFinishedAt: finishedAt,
+      lastError: error.message
+    });
+    update.$inc.failureCount = 1;
+    Object.assign(entry, { outcome: 'failed', finishedAt, error: error.message });
+  }
+
+  entry.durationMs = entry.finishedAt - startedAt;
+  // Only the lock holder records the run; if the lock lapsed and another
+  // instance took over, its outcome wins
+  await Job.updateOne(
+    { _id: job._id, lockedBy: instanceId },
+    {
+      ...update,
+      $unset: { lockedBy: 1, lockedUntil: 1 },
+      $push: { history: { $each: [entry], $slice: -Job.HISTORY_LIMIT } }
+    }
+  );
+};
+
+let polling = false;
+
+// Run every registered job that is due and not locked elsewhere, one at a
+// time. Returns how many ran.
+const runDueJobs = async () => {
+  if (polling) return 0;
+  polling = true;
+  let ran = 0;
+  try {
+    for (const definition of definitions.values()) {
+      const job = await claim(definition, new Date());
+      if (!job) continue;
+      await runJob(definition, job);
+      ran++;
+    }
+  } finally {
+    polling = false;
+  }
+  return ran;
+};
+
+const startJobRunner = () => {
+  const timer = setInterval(() => {
+    runDueJobs().catch(error => console.error('Job runner error:', error));
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+// Make a job due now; the next poll of any instance picks it up. Returns
+// null if the job is running, since finishing reschedules it.
+const requestRun = (name) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { nextRunAt: now } },
+    { new: true }
+  );
+};
+
+// Job documents with what an admin needs to spot trouble: whether this
+// instance has a handler for it, whether a lock has outlived its holder and
+// whether it is well past its due time
+const describeJob = (job, now = new Date()) => {
+  const json = job.toJSON();
+  json.registered = definitions.has(job.name);
+  json.lockExpired = Boolean(job.lockedUntil && job.lockedUntil <= now);
+  json.overdue = job.status !== 'running' && job.nextRunAt.getTime() < now.getTime() - 2 * POLL_INTERVAL_MS;
+  return json;
+};
+
+module.exports = {
+  instanceId,
+  defineJob,
+  runDueJobs,
+  startJobRunner,
+  requestRun,
+  describeJob
+};
@@ -0,0 +1,115 @@
+const Product = require('../models/Product');
+const { notify, notifyCartHoldersQuietly } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days from env, falling back to a default for missing or bad values
+const daysFromEnv = (name, fallback) => {
+  const days = parseFloat(process.env[name]);
+  return (Number.isFinite(days) && days > 0 ? days : fallback) * DAY_MS;
+};
+
+// How long an approved listing stays up before the seller has to renew it
+const listingTtlMs = () => daysFromEnv('LISTING_TTL_DAYS', 60);
+
+// How long before expiry the seller is reminded
+const reminderLeadMs = () => daysFromEnv('LISTING_REMINDER_DAYS', 7);
+
+// When a listing approved or renewed at `now` expires
+const expiryFrom = (now = new Date()) => new Date(now.getTime() + listingTtlMs());
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// Remind sellers, once per listing period, of live listings expiring
+// within the lead time. Approved listings from before expiry existed get a
+// full period first.
+const sendExpiryReminders = async (now = new Date()) => {
+  await Product.updateMany(
+    { status: 'approved', expiresAt: { $exists: false } },
+    { $set: { expiresAt: expiryFrom(now) } }
+  );
+
+  const due = await Product.find({
+    status: 'approved',
+    isActive: true,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + reminderLeadMs()) },
+    expiryReminderSentAt: { $exists: false }
+  }).select('name seller expiresAt');
+
+  let sent = 0;
+  for (const product of due) {
+    // Marked first, so a retried run never reminds twice
+    const marked = await Product.updateOne(
+      { _id: product._id, expiryReminderSentAt: { $exists: false } },
+      { $set: { expiryReminderSentAt: now } }
+    );
+    if (marked.modifiedCount !== 1) continue;
+
+    await notify(product.seller, {
+      type: 'listing_expiring',
+      title: 'Your listing expires soon',
+      message: `"${product.name}" expires on ${day(product.expiresAt)}. Renew it to keep it listed.`,
+      data: { product: product._id }
+    });
+    sent++;
+  }
+  return sent;
+};
+
+// Take down live listings past their expiry. Listings held for a buyer by
+// an accepted offer wait until the reservation ends.
+const expireListings = async (now = new Date()) => {
+  const due = await Product.find({
+    status: 'approved',
+    isActive: true,
+    expiresAt: { $lte: now },
+    $or: [
+      { 'reservation.until': { $exists: false } },
+      { 'reservation.until': { $lte: now } }
+    ]
+  }).select('name seller');
+
+  const expired = [];
+  for (const product of due) {
+    const result = await Product.updateOne(
+      { _id: product._id, status: 'approved', isActive: true, expiresAt: { $lte: now } },
+      { $set: { isActive: false, expiredAt: now } }
+    );
+    if (result.modifiedCount !== 1) continue;
+
+    await notify(product.seller, {
+      type: 'listing_expired',
+      title: 'Your listing has expired',
+      message: `"${product.name}" is no longer visible to buyers. Renew it to put it back on sale.`,
+      data: { product: product._id }
+    });
+    expired.push(product);
+  }
+
+  if (expired.length > 0) {
+    notifyCartHoldersQuietly(expired, { reason: 'has expired' });
+  }
+  return expired.length;
+};
+
+// Start a fresh listing period. An expired listing goes back on sale,
+// unless it is also hidden for another reason.
+const renewListing = async (product, now = new Date()) => {
+  product.expiresAt = expiryFrom(now);
+  product.expiryReminderSentAt = undefined;
+  if (product.expiredAt) {
+    product.expiredAt = undefined;
+    if (!product.hiddenByReportsAt && !product.hiddenBySuspensionAt) {
+      product.isActive = true;
+    }
+  }
+  await product.save();
+  return product;
+};
+
+module.exports = {
+  expiryFrom,
+  sendExpiryReminders,
+  expireListings,
+  renewListing
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports share one method: send({ from, to, subject, text, html }).
+// MAIL_TRANSPORT picks one: smtp, file or console (default).
+const transports = {
+  // Real delivery through any SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  // Write each message as a JSON file, handy for local development and tests
+  file: () => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'mail');
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(outputDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { messageId: fileName, path: filePath };
+      }
+    };
+  },
+
+  // Print messages to the server log
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Outgoing mail:', JSON.stringify(message, null, 2));
+      return { messageId: `console-${Date.now()}` };
+    }
+  })
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. to capture messages in tests
+const setTransport = (instance) => {
+  transport = instance;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'no-reply@localhost',
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  sendMail,
+  setTransport
+};
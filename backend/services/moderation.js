@@ -0,0 +1,29 @@
+const ModerationLog = require('../models/ModerationLog');
+
+// Capture the fields of a product we keep in the audit trail
+const snapshot = (product) => ({
+  status: product.status,
+  isActive: product.isActive,
+  name: product.name,
+  price: product.price,
+  category: product.category
+});
+
+// Record a status transition. `before` is a snapshot taken before the change.
+const recordTransition = async ({ product, before, actor, action, reason, note, session = null }) => {
+  const [log] = await ModerationLog.create([{
+    product: product._id,
+    actor,
+    action,
+    reason,
+    note: note || '',
+    before,
+    after: snapshot(product)
+  }], { session });
+  return log;
+};
+
+module.exports = {
+  snapshot,
+  recordTransition
+};
@@ -0,0 +1,153 @@
+const Notification = require('../models/Notification');
+const Cart = require('../models/Cart');
+const Favorite = require('../models/Favorite');
+
+// Open Server-Sent Events connections on this instance, per user id. Each
+// user may have several tabs or devices connected at once.
+const streams = new Map();
+
+const addStream = (userId, res) => {
+  const key = userId.toString();
+  if (!streams.has(key)) {
+    streams.set(key, new Set());
+  }
+  streams.get(key).add(res);
+};
+
+const removeStream = (userId, res) => {
+  const key = userId.toString();
+  const userStreams = streams.get(key);
+  if (!userStreams) return;
+  userStreams.delete(res);
+  if (userStreams.size === 0) {
+    streams.delete(key);
+  }
+};
+
+const push = (userId, event, payload) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return;
+  const frame = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of userStreams) {
+    res.write(frame);
+  }
+};
+
+// End a stream with a final `closed` event telling the client why;
+// reconnecting goes through auth again
+const endStream = (res, reason) => {
+  res.end(`event: closed\ndata: ${JSON.stringify({ reason })}\n\n`);
+};
+
+// End every open stream of a user on this instance, e.g. once they are
+// suspended
+const closeStreams = (userId, reason) => {
+  const userStreams = streams.get(userId.toString());
+  if (!userStreams) return 0;
+  for (const res of userStreams) {
+    endStream(res, reason);
+  }
+  streams.delete(userId.toString());
+  return userStreams.size;
+};
+
+// Persist a notification. It reaches the user's live connections through
+// the notification feed, whichever instance holds them.
+const notify = async (userId, { type, title, message = '', data = {} }) => (
+  Notification.create({ user: userId, type, title, message, data })
+);
+
+const FEED_RETRY_MS = 5 * 1000;
+
+// Watch for new notifications and push each one to the streams this
+// instance holds. Every instance runs its own feed, so a notification
+// created anywhere reaches the user. Change streams need a replica set,
+// which checkout transactions already require. After an error the feed
+// reopens where it left off.
+const startNotificationFeed = (resumeAfter = undefined) => {
+  let lastSeen = resumeAfter;
+  const changes = Notification.watch(
+    [{ $match: { operationType: 'insert' } }],
+    resumeAfter ? { resumeAfter } : {}
+  );
+
+  changes.on('change', (change) => {
+    lastSeen = change._id;
+    const notification = Notification.hydrate(change.fullDocument);
+    push(notification.user, 'notification', notification);
+  });
+  changes.once('error', (error) => {
+    console.error('Notification feed error:', error);
+    changes.close().catch(() => {});
+    setTimeout(() => startNotificationFeed(lastSeen), FEED_RETRY_MS).unref();
+  });
+  return changes;
+};
+
+// Fire-and-forget variant for request handlers: a failed notification
+// must never fail the action that triggered it
+const notifyQuietly = (userId, notification) => {
+  notify(userId, notification).catch(error => console.error('Notification error:', error));
+};
+
+// Tell everyone holding one of these products in their cart that it's gone
+const notifyCartHolders = async (products, { excludeUser, reason }) => {
+  const productIds = products.map(product => product._id);
+  const carts = await Cart.find({
+    'items.product': { $in: productIds },
+    ...(excludeUser ? { user: { $ne: excludeUser } } : {})
+  }).select('user items.product');
+
+  for (const cart of carts) {
+    const inCart = new Set(cart.items.map(item => item.product.toString()));
+    for (const product of products) {
+      if (!inCart.has(product._id.toString())) continue;
+      await notify(cart.user, {
+        type: 'cart_item_unavailable',
+        title: 'An item in your cart is no longer available',
+        message: `"${product.name}" ${reason}.`,
+        data: { product: product._id }
+      });
+    }
+  }
+};
+
+const notifyCartHoldersQuietly = (products, options) => {
+  notifyCartHolders(products, options).catch(error => console.error('Cart notification error:', error));
+};
+
+// Tell everyone watching a product about a change to it
+const notifyWatchers = async (product, { type, title, message }, { excludeUser } = {}) => {
+  const favorites = await Favorite.find({
+    product: product._id,
+    ...(excludeUser ? { user: { $ne: excludeUser } } : {})
+  }).select('user');
+
+  for (const favorite of favorites) {
+    await notify(favorite.user, {
+      type,
+      title,
+      message,
+      data: { product: product._id }
+    });
+  }
+};
+
+const notifyWatchersQuietly = (product, notification, options) => {
+  notifyWatchers(product, notification, options).catch(error => console.error('Watcher notification error:', error));
+};
+
+module.exports = {
+  addStream,
+  removeStream,
+  push,
+  endStream,
+  closeStreams,
+  notify,
+  notifyQuietly,
+  startNotificationFeed,
+  notifyCartHolders,
+  notifyCartHoldersQuietly,
+  notifyWatchers,
+  notifyWatchersQuietly
+};
@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const { notifyQuietly } = require('./notifications');
+
+// Hours from env, falling back to a default for missing or bad values
+const hoursFromEnv = (name, fallback) => {
+  const hours = parseFloat(process.env[name]);
+  return (Number.isFinite(hours) && hours > 0 ? hours : fallback) * 60 * 60 * 1000;
+};
+
+// How long the other side has to respond to an offer or counter-offer
+const offerTtlMs = () => hoursFromEnv('OFFER_TTL_HOURS', 48);
+// How long an accepted offer holds the item for the buyer
+const reservationMs = () => hoursFromEnv('OFFER_RESERVATION_HOURS', 24);
+
+const otherSide = { buyer: 'seller', seller: 'buyer' };
+
+// Raised when an offer action isn't allowed; `status` is the HTTP status
+class OfferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OfferError';
+    this.status = status;
+  }
+}
+
+const parseAmount = (value) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new OfferError('Please enter a valid amount');
+  }
+  return Math.round(amount * 100) / 100;
+};
+
+const notifyParty = (offer, side, { type, title, message }) => {
+  notifyQuietly(offer[side], {
+    type,
+    title,
+    message,
+    data: { offer: offer._id, product: offer.product }
+  });
+};
+
+// Saves fail if someone else changed the offer since it was loaded
+const saveOffer = async (offer) => {
+  try {
+    await offer.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new OfferError('This offer was just updated, please reload it', 409);
+    }
+    throw error;
+  }
+};
+
+// Drop the product's hold if it still belongs to this offer
+const releaseReservation = (offer) => Product.updateOne(
+  { _id: offer.product, 'reservation.offer': offer._id },
+  { $unset: { reservation: 1 } }
+);
+
+// Expire an open offer past its deadline, or an accepted one whose
+// reservation ran out. Returns false if the offer moved on meanwhile.
+const expireOffer = async (offer) => {
+  const wasAccepted = offer.status === 'accepted';
+  const result = await Offer.updateOne(
+    { _id: offer._id, status: offer.status },
+    {
+      $set: { status: 'expired' },
+      $inc: { __v: 1 },
+      $push: {
+        history: {
+          action: 'expire',
+          note: wasAccepted ? 'The reservation ended without a purchase' : 'No response in time',
+          at: new Date()
+        }
+      }
+    }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  offer.status = 'expired';
+  if (wasAccepted) {
+    await releaseReservation(offer);
+  }
+  for (const side of ['buyer', 'seller']) {
+    notifyParty(offer, side, {
+      type: 'offer_expired',
+      title: 'An offer expired',
+      message: wasAccepted
+        ? `The reservation at ${offer.amount} ended without a purchase.`
+        : `The offer of ${offer.amount} expired without a response.`
+    });
+  }
+  return true;
+};
+
+// Load an offer the user takes part in, along with their side
+const findOfferFor = async (offerId, userId) => {
+  const offer = mongoose.Types.ObjectId.isValid(offerId) ? await Offer.findById(offerId) : null;
+  if (!offer) {
+    throw new OfferError('Offer not found', 404);
+  }
+  const side = offer.sideOf(userId);
+  if (!side) {
+    throw new OfferError('Not authorized to view this offer', 403);
+  }
+  return { offer, side };
+};
+
+// Only the side the offer is waiting on may accept, reject or counter it
+const assertAwaiting = async (offer, side) => {
+  if (offer.status === 'open' && offer.expiresAt <= new Date()) {
+    await expireOffer(offer);
+    throw new OfferError('This offer has expired', 409);
+  }
+  if (offer.status !== 'open') {
+    throw new OfferError(`This offer is ${offer.status}`, 409);
+  }
+  if (offer.awaiting !== side) {
+    throw new OfferError('Waiting for the other side to respond', 409);
+  }
+};
+
+// A buyer offers less than the list price on an approved listing
+const makeOffer = async ({ buyerId, productId, amount, note }) => {
+  const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null;
+  if (!product || product.status !== 'approved' || !product.isActive) {
+    throw new OfferError('Product not found', 404);
+  }
+  if (product.seller.toString() === buyerId.toString()) {
+    throw new OfferError('You cannot make an offer on your own listing');
+  }
+
+  const value = parseAmount(amount);
+  if (value >= product.price) {
+    throw new OfferError('An offer must be below the list price');
+  }
+
+  const reservation = product.activeReservation();
+  if (reservation && reservation.buyer.toString() !== buyerId.toString()) {
+    throw new OfferError('This item is reserved for another buyer', 409);
+  }
+  if (await Offer.exists({ product: product._id, buyer: buyerId, status: { $in: ['open', 'accepted'] } })) {
+    throw new OfferError('You already have an offer on this item', 409);
+  }
+
+  const offer = new Offer({
+    product: product._id,
+    buyer: buyerId,
+    seller: product.seller,
+    amount: value,
+    listPrice: product.price,
+    expiresAt: new Date(Date.now() + offerTtlMs())
+  });
+  offer.record('offer', { by: buyerId, amount: value, note });
+  await offer.save();
+
+  notifyParty(offer, 'seller', {
+    type: 'offer_received',
+    title: 'New offer on your listing',
+    message: `You received an offer of ${value} on "${product.name}" (listed at ${product.price}).`
+  });
+  return offer;
+};
+
+// Answer with a different amount; the other side gets a fresh deadline
+const counterOffer = async ({ offerId, userId, amount, note }) => {
+  const { offer, side } = await findOfferFor(offerId, userId);
+  await assertAwaiting(offer, side);
+
+  const value = parseAmount(amount);
+  if (value === offer.amount) {
+    throw new OfferError('A counter-offer must change the amount');
+  }
+
+  offer.amount = value;
+  offer.awaiting = otherSide[side];
+  offer.expiresAt = new Date(Date.now() + offerTtlMs());
+  offer.record('counter', { by: userId, amount: value, note });
+  await saveOffer(offer);
+
+  notifyParty(offer, otherSide[side], {
+    type: 'offer_countered',
+    title: 'You received a counter-offer',
+    message: `The ${side} countered with ${value}.`
+  });
+  return offer;
+};
+
+// Agree to the amount on the table and reserve the item for the buyer
+const acceptOffer = async ({ offerId, userId, note }) => {
+  const { offer, side } = await findOfferFor(offerId, userId);
+  await assertAwaiting(offer, side);
+
+  const now = new Date();
+  const until = new Date(now.getTime() + reservationMs());
+
+  // Only one buyer can hold the item at a time
+  const result = await Product.updateOne(
+    {
+      _id: offer.product,
+      status: 'approved',
+      isActive: true,
+      $or: [
+        { 'reservation.until': { $exists: false } },
+        { 'reservation.until': { $lte: now } },
+        { 'reservation.buyer': offer.buyer }
+      ]
+    },
+    { $set: { reservation: { buyer: offer.buyer, offer: offer._id, price: offer.amount, until } } }
+  );
+  if (result.matchedCount !== 1) {
+    throw new OfferError('This item is no longer available or is reserved for another buyer', 409);
+  }
+
+  offer.status = 'accepted';
+  offer.reservedUntil = until;
+  offer.record('accept', { by: userId, amount: offer.amount, note });
+  try {
+    await saveOffer(offer);
+  } catch (error) {
+    await releaseReservation(offer);
+    throw error;
+  }
+
+  notifyParty(offer, otherSide[side], {
+    type: 'offer_accepted',
+    title: 'Your offer was accepted',
+    message: `Agreed at ${offer.amount}. The item is reserved for the buyer until ${until.toISOString()}.`
+  });
+  return offer;
+};
+
+const rejectOffer = async ({ offerId, userId, note }) => {
+  const { offer, side } = await findOfferFor(offerId, userId);
+  await assertAwaiting(offer, side);
+
+  offer.status = 'rejected';
+  offer.record('reject', { by: userId, note });
+  await saveOffer(offer);
+
+  notifyParty(offer, otherSide[side], {
+    type: 'offer_rejected',
+    title: 'Your offer was declined',
+    message: `The ${side} declined the offer of ${offer.amount}.`
+  });
+  return offer;
+};
+
+// The buyer backs out of an open offer or an accepted one they no longer want
+const withdrawOffer = async ({ offerId, userId, note }) => {
+  const { offer, side } = await findOfferFor(offerId, userId);
+  if (side !== 'buyer') {
+    throw new OfferError('Only the buyer can withdraw an offer', 403);
+  }
+  if (!['open', 'accepted'].includes(offer.status)) {
+    throw new OfferError(`This offer is ${offer.status}`, 409);
+  }
+
+  const wasAccepted = offer.status === 'accepted';
+  offer.status = 'withdrawn';
+  offer.record('withdraw', { by: userId, note });
+  await saveOffer(offer);
+  if (wasAccepted) {
+    await releaseReservation(offer);
+  }
+
+  notifyParty(offer, 'seller', {
+    type: 'offer_withdrawn',
+    title: 'An offer was withdrawn',
+    message: `The buyer withdrew the offer of ${offer.amount}.`
+  });
+  return offer;
+};
+
+// Called inside the checkout transaction once products are bought: the
+// buyer's accepted offers are completed, and every other offer on listings
+// that sold out (`soldOut` ids) is closed. Returns the offers that were
+// cancelled so their buyers can be told.
+const settleOffersForSale = async ({ buyerId, orders, soldOut, session }) => {
+  const at = new Date();
+  for (const order of orders) {
+    await Offer.updateMany(
+      { product: { $in: order.items.map(item => item.product) }, buyer: buyerId, status: 'accepted' },
+      {
+        $set: { status: 'completed', order: order._id },
+        $inc: { __v: 1 },
+        $push: { history: { action: 'complete', by: buyerId, at } }
+      },
+      { session }
+    );
+  }
+
+  const open = { product: { $in: soldOut }, status: { $in: ['open', 'accepted'] } };
+  const cancelled = await Offer.find(open).select('buyer seller product amount').session(session);
+  await Offer.updateMany(
+    open,
+    {
+      $set: { status: 'cancelled' },
+      $inc: { __v: 1 },
+      $push: { history: { action: 'cancel', note: 'The item was sold', at } }
+    },
+    { session }
+  );
+  return cancelled;
+};
+
+const notifyCancelledOffers = (offers) => {
+  for (const offer of offers) {
+    notifyParty(offer, 'buyer', {
+      type: 'offer_cancelled',
+      title: 'An item you made an offer on was sold',
+      message: `Your offer of ${offer.amount} was closed because the item sold.`
+    });
+  }
+};
+
+// Expire every offer and reservation past its deadline
+const expireOffers = async (now = new Date()) => {
+  const due = await Offer.find({
+    $or: [
+      { status: 'open', expiresAt: { $lte: now } },
+      { status: 'accepted', reservedUntil: { $lte: now } }
+    ]
+  });
+
+  let expired = 0;
+  for (const offer of due) {
+    if (await expireOffer(offer)) expired++;
+  }
+  return expired;
+};
+
+module.exports = {
+  OfferError,
+  makeOffer,
+  counterOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer,
+  settleOffersForSale,
+  notifyCancelledOffers,
+  expireOffers
+};
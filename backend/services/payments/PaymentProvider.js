@@ -0,0 +1,45 @@
+// Base class every payment provider implements. The server never sees card
+// details: the client tokenizes the card with the provider and only sends
+// the resulting token.
+//
+// authorize({ amount, currency, token, reference })
+//   -> { id, status: 'authorized' | 'declined', message }
+// capture(id, amount)  -> { id, status: 'captured' | 'failed', message }
+// refund(id, amount)   -> { id, status: 'refunded' | 'failed', message }
+// verifyWebhook(rawBody, signature) -> parsed event, throws a PaymentError if
+//   the signature is invalid or the body is not JSON
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async authorize() {
+    throw new Error(`${this.name} provider does not implement authorize`);
+  }
+
+  async capture() {
+    throw new Error(`${this.name} provider does not implement capture`);
+  }
+
+  async refund() {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  verifyWebhook() {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+}
+
+// Raised when the provider declines or fails an operation
+class PaymentError extends Error {
+  constructor(message, code = 'payment_failed') {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+module.exports = {
+  PaymentProvider,
+  PaymentError
+};
@@ -0,0 +1,48 @@
+const { PaymentProvider, PaymentError } = require('./PaymentProvider');
+const MockPaymentProvider = require('./mockProvider');
+
+// Available providers keyed by PAYMENT_PROVIDER. A real gateway is added by
+// implementing PaymentProvider and registering it here.
+const providers = {
+  mock: () => new MockPaymentProvider({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET })
+};
+
+let provider;
+
+const providerName = () => process.env.PAYMENT_PROVIDER || 'mock';
+
+// Checked at startup: a production server must not run on the mock
+// provider, which approves any tok_* token, or accept unsigned webhooks
+const assertPaymentConfig = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+  if (providerName() === 'mock') {
+    throw new Error('PAYMENT_PROVIDER must name a real payment provider in production');
+  }
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is required in production');
+  }
+};
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = providerName();
+    if (!providers[name]) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Swap the provider, e.g. to inject a fake in tests
+const setPaymentProvider = (instance) => {
+  provider = instance;
+};
+
+module.exports = {
+  PaymentProvider,
+  PaymentError,
+  assertPaymentConfig,
+  getPaymentProvider,
+  setPaymentProvider
+};
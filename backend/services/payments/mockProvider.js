@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { PaymentProvider, PaymentError } = require('./PaymentProvider');
+
+// Deterministic provider for local development and tests. The outcome is
+// decided by the token alone:
+//   tok_mock_declined       -> authorization is declined
+//   tok_mock_capture_fails  -> authorization succeeds, capture fails
+//   any other tok_* token   -> everything succeeds
+const DECLINED_TOKEN = 'tok_mock_declined';
+const CAPTURE_FAILS_TOKEN = 'tok_mock_capture_fails';
+
+class MockPaymentProvider extends PaymentProvider {
+  constructor({ webhookSecret } = {}) {
+    super('mock');
+    this.webhookSecret = webhookSecret;
+    this.authorizations = new Map();
+  }
+
+  async authorize({ amount, currency, token, reference }) {
+    if (!token || !token.startsWith('tok_')) {
+      throw new PaymentError('Invalid payment token', 'invalid_token');
+    }
+
+    // Same reference always maps to the same provider id
+    const id = `mock_pi_${crypto.createHash('sha256').update(String(reference)).digest('hex').slice(0, 24)}`;
+
+    if (token === DECLINED_TOKEN) {
+      return { id, status: 'declined', message: 'Card was declined' };
+    }
+
+    this.authorizations.set(id, { amount, currency, token, captured: 0, refunded: 0 });
+    return { id, status: 'authorized' };
+  }
+
+  async capture(id, amount) {
+    const authorization = this.authorizations.get(id);
+    if (!authorization) {
+      return { id, status: 'failed', message: 'Unknown authorization' };
+    }
+    if (authorization.token === CAPTURE_FAILS_TOKEN) {
+      return { id, status: 'failed', message: 'Capture failed' };
+    }
+    if (amount > authorization.amount) {
+      return { id, status: 'failed', message: 'Capture exceeds authorized amount' };
+    }
+
+    authorization.captured = amount;
+    return { id, status: 'captured' };
+  }
+
+  async refund(id, amount) {
+    const authorization = this.authorizations.get(id);
+    if (!authorization) {
+      return { id, status: 'failed', message: 'Unknown authorization' };
+    }
+
+    authorization.refunded = amount === undefined ? authorization.captured : amount;
+    return { id, status: 'refunded' };
+  }
+
+  // Sign a payload the way the provider would, handy for tests. Without
+  // PAYMENT_WEBHOOK_SECRET there is nothing to sign with, so every webhook
+  // is rejected.
+  sign(rawBody) {
+    if (!this.webhookSecret) {
+      throw new PaymentError('PAYMENT_WEBHOOK_SECRET is not set', 'invalid_signature');
+    }
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, signature) {
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(String(signature || ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new PaymentError('Invalid webhook signature', 'invalid_signature');
+    }
+    try {
+      return JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new PaymentError('Webhook body is not valid JSON', 'invalid_payload');
+    }
+  }
+}
+
+module.exports = MockPaymentProvider;
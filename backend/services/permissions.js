@@ -0,0 +1,47 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// Role permissions rarely change, so keep them in memory for a short while
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName });
+  const permissions = role ? role.permissions : [];
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+const clearPermissionCache = () => cache.clear();
+
+// Whether a request user (as set by the auth middleware) has a permission
+const hasPermission = (user, permission) => {
+  const permissions = (user && user.permissions) || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Give users created before roles existed a role matching their isAdmin flag
+const migrateLegacyAdmins = async () => {
+  await Role.seedDefaults();
+  const admins = await User.updateMany(
+    { isAdmin: true, role: { $exists: false } },
+    { $set: { role: 'admin' } }
+  );
+  const users = await User.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'user' } }
+  );
+  return { admins: admins.modifiedCount, users: users.modifiedCount };
+};
+
+module.exports = {
+  getRolePermissions,
+  clearPermissionCache,
+  hasPermission,
+  migrateLegacyAdmins
+};
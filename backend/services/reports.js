@@ -0,0 +1,60 @@
+const Report = require('../models/Report');
+const Product = require('../models/Product');
+const { notifyQuietly, notifyCartHoldersQuietly } = require('./notifications');
+
+// Distinct open reports that take a live listing down automatically
+const hideThreshold = () => {
+  const threshold = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10);
+  return Number.isInteger(threshold) && threshold > 0 ? threshold : 3;
+};
+
+// Hide a listing once enough different users have open reports on it.
+// Returns true if this call hid it.
+const hideIfReported = async (productId) => {
+  const reporters = await Report.distinct('reporter', {
+    targetType: 'Product',
+    target: productId,
+    status: 'open'
+  });
+  if (reporters.length < hideThreshold()) return false;
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, isActive: true, status: { $ne: 'sold' } },
+    { $set: { isActive: false, hiddenByReportsAt: new Date() } },
+    { new: true }
+  );
+  if (!product) return false;
+
+  notifyQuietly(product.seller, {
+    type: 'product_hidden',
+    title: 'Your listing is under review',
+    message: `"${product.name}" was reported by several users and is hidden until a moderator reviews it.`,
+    data: { product: product._id }
+  });
+  if (product.status === 'approved') {
+    notifyCartHoldersQuietly([product], { reason: 'has been taken down' });
+  }
+  return true;
+};
+
+// Dismiss every open report on a target, e.g. when a moderator puts a
+// hidden listing back up. Otherwise those reports would still count, and a
+// single new one could hide it again. Returns how many were closed.
+const dismissOpenReports = async (targetType, target, { by, note = '' }) => {
+  const result = await Report.updateMany(
+    { targetType, target, status: 'open' },
+    {
+      $set: {
+        status: 'dismissed',
+        resolution: { note, resolvedBy: by, resolvedAt: new Date() }
+      }
+    }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hideThreshold,
+  hideIfReported,
+  dismissOpenReports
+};
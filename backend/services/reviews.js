@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const User = require('../models/User');
+
+// Recompute a seller's average and count from their published reviews
+const refreshSellerRating = async (sellerId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = summary
+    ? { average: Math.round(summary.average * 100) / 100, count: summary.count }
+    : { average: 0, count: 0 };
+  await User.updateOne({ _id: sellerId }, { $set: { rating } });
+  return rating;
+};
+
+module.exports = {
+  refreshSellerRating
+};
@@ -0,0 +1,155 @@
+const SavedSearch = require('../models/SavedSearch');
+const Product = require('../models/Product');
+const { resolveSearchFilters } = require('./search');
+const { distanceKm, coarsenPoint } = require('./geocoding');
+const { lineageSlugs, matchesAttributeFilters } = require('./categories');
+const { notify } = require('./notifications');
+
+const DIGEST_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+const words = (value) => String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Validate request input and keep only the filters that are set, in the
+// shape stored on a saved search. Throws GeoError for bad coordinates and
+// CategoryError for attribute filters the category doesn't have.
+const normalizeFilters = async (input = {}) => {
+  const parsed = await resolveSearchFilters(input);
+  const filters = {};
+  if (parsed.text) filters.query = parsed.text;
+  if (parsed.category) filters.category = parsed.category;
+  if (Object.keys(parsed.attributes).length > 0) filters.attributes = parsed.attributes;
+  if (parsed.size) filters.size = parsed.size;
+  if (parsed.color) filters.color = parsed.color;
+  if (parsed.location) filters.location = parsed.location;
+  if (parsed.minPrice !== null) filters.minPrice = parsed.minPrice;
+  if (parsed.maxPrice !== null) filters.maxPrice = parsed.maxPrice;
+  if (parsed.near) {
+    [filters.lng, filters.lat] = parsed.near.coordinates;
+    filters.radiusKm = parsed.radiusKm;
+  }
+  return filters;
+};
+
+// Check one product against saved filters the way the search endpoint
+// would. Text matching approximates $text: any query word matching the
+// start of a word in the name or description. `lineage` is the product's
+// category and the ones above it, so a search on a parent category matches.
+const matchesFilters = (filters, product, lineage = [product.category]) => {
+  if (filters.query) {
+    const productWords = words(`${product.name} ${product.description}`);
+    const found = words(filters.query).some(term => productWords.some(word => word.startsWith(term)));
+    if (!found) return false;
+  }
+  if (filters.category && !lineage.includes(filters.category)) return false;
+  if (filters.attributes && !matchesAttributeFilters(filters.attributes, product.attributes)) return false;
+  if (filters.size && product.size.toLowerCase() !== filters.size.toLowerCase()) return false;
+  if (filters.color && product.color.toLowerCase() !== filters.color.toLowerCase()) return false;
+  if (filters.location && !product.location.toLowerCase().includes(filters.location.toLowerCase())) return false;
+  if (filters.minPrice != null && product.price < filters.minPrice) return false;
+  if (filters.maxPrice != null && product.price > filters.maxPrice) return false;
+  if (filters.lat != null && filters.lng != null) {
+    // The coarsened point, as in search, so alerts can't locate the seller
+    const point = product.geo?.coordinates?.length ? coarsenPoint(product.geo) : null;
+    if (!point) return false;
+    const center = { type: 'Point', coordinates: [filters.lng, filters.lat] };
+    if (distanceKm(center, point) > filters.radiusKm) return false;
+  }
+  return true;
+};
+
+// Active saved searches (other than the seller's own) matching a product
+const findMatchingSearches = async (product) => {
+  const lineage = await lineageSlugs(product.category);
+  const candidates = await SavedSearch.find({
+    paused: false,
+    user: { $ne: product.seller },
+    'filters.category': { $in: [null, ...lineage] },
+    'filters.minPrice': { $not: { $gt: product.price } },
+    'filters.maxPrice': { $not: { $lt: product.price } }
+  });
+  return candidates.filter(search => matchesFilters(search.filters, product, lineage));
+};
+
+// Alert users whose saved searches match a newly approved product. Instant
+// searches notify now (once per user); daily ones queue the match.
+const alertSavedSearches = async (product) => {
+  const matches = await findMatchingSearches(product);
+
+  const notified = new Set();
+  for (const search of matches) {
+    if (search.frequency === 'daily') {
+      await SavedSearch.updateOne({ _id: search._id }, { $addToSet: { pendingMatches: product._id } });
+      continue;
+    }
+
+    const userId = search.user.toString();
+    if (notified.has(userId)) continue;
+    notified.add(userId);
+    await notify(search.user, {
+      type: 'saved_search_match',
+      title: `New match for "${search.name}"`,
+      message: `"${product.name}" matches your saved search.`,
+      data: { product: product._id, savedSearch: search._id }
+    });
+  }
+  return matches.length;
+};
+
+// Run matching after the current request has been answered, so approving
+// a listing never waits on it
+const alertSavedSearchesLater = (product) => {
+  setImmediate(() => {
+    alertSavedSearches(product).catch(error => console.error('Saved search alert error:', error));
+  });
+};
+
+// Send one notification per daily search with queued matches that are
+// still for sale, at most once per day per search
+const sendDailyDigests = async (now = new Date()) => {
+  const due = await SavedSearch.find({
+    frequency: 'daily',
+    paused: false,
+    'pendingMatches.0': { $exists: true },
+    $or: [
+      { lastDigestAt: { $exists: false } },
+      { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_PERIOD_MS) } }
+    ]
+  });
+
+  let sent = 0;
+  for (const search of due) {
+    const queued = search.pendingMatches;
+    const available = await Product.find({
+      _id: { $in: queued },
+      status: 'approved',
+      isActive: true
+    }).select('name');
+
+    if (available.length > 0) {
+      await notify(search.user, {
+        type: 'saved_search_digest',
+        title: `${available.length} new ${available.length === 1 ? 'match' : 'matches'} for "${search.name}"`,
+        message: available.slice(0, 3).map(product => `"${product.name}"`).join(', ')
+          + (available.length > 3 ? ` and ${available.length - 3} more` : ''),
+        data: { savedSearch: search._id, products: available.map(product => product._id) }
+      });
+      sent++;
+    }
+
+    // Only clear what was handled; matches queued meanwhile wait for tomorrow
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      { $pullAll: { pendingMatches: [...queued] }, $set: { lastDigestAt: now } }
+    );
+  }
+  return sent;
+};
+
+module.exports = {
+  normalizeFilters,
+  matchesFilters,
+  findMatchingSearches,
+  alertSavedSearches,
+  alertSavedSearchesLater,
+  sendDailyDigests
+};
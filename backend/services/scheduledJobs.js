@@ -0,0 +1,35 @@
+const { defineJob, startJobRunner } = require('./jobs');
+const { sendDailyDigests } = require('./savedSearches');
+const { expireOffers } = require('./offers');
+const { liftExpiredSuspensions } = require('./suspensions');
+const { sendExpiryReminders, expireListings } = require('./listingExpiry');
+
+const MINUTE_MS = 60 * 1000;
+
+// Every recurring background job. Each handler returns how many records it
+// handled, which is kept in the job's run history.
+const JOBS = [
+  // Daily digests for saved searches; each search gets at most one a day
+  { name: 'saved-search-digests', everyMs: 60 * MINUTE_MS, run: () => sendDailyDigests() },
+  // Expire unanswered offers and lapsed reservations
+  { name: 'offer-expiry', everyMs: 5 * MINUTE_MS, run: () => expireOffers() },
+  // Lift temporary suspensions that have run out
+  { name: 'suspension-expiry', everyMs: 10 * MINUTE_MS, run: () => liftExpiredSuspensions() },
+  // Warn sellers before their listings expire
+  { name: 'listing-expiry-reminders', everyMs: 60 * MINUTE_MS, run: () => sendExpiryReminders() },
+  // Take down listings that weren't renewed
+  { name: 'listing-expiry', everyMs: 15 * MINUTE_MS, run: () => expireListings() }
+];
+
+// Register the jobs and start polling for due ones
+const startScheduledJobs = async () => {
+  for (const job of JOBS) {
+    await defineJob(job);
+  }
+  return startJobRunner();
+};
+
+module.exports = {
+  JOBS,
+  startScheduledJobs
+};
@@ -0,0 +1,224 @@
+const Product = require('../models/Product');
+const { cursorFilter, buildPage } = require('../utils/pagination');
+const { parseCoordinates } = require('./geocoding');
+const { subtreeSlugs, parseAttributeFilters } = require('./categories');
+
+// Upper bounds of the price buckets returned as facets
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+const SORTS = {
+  relevance: { score: -1, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: -1 },
+  // Whole kilometres, so neither results nor cursors reveal exact distances
+  distance: { distanceKm: 1, _id: 1 }
+};
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A trimmed text param, or null. Repeating a param (?query=a&query=b)
+// makes it an array, which is ignored rather than trusted.
+const textParam = (value) => (typeof value === 'string' && value.trim()) || null;
+
+// Turn request query params into the filters used by every backend
+const parseSearchParams = (params) => {
+  const text = textParam(params.query) || '';
+  const near = parseCoordinates(params.lat, params.lng);
+  const radiusKm = parseFloat(params.radiusKm);
+  const minPrice = parseFloat(params.minPrice);
+  const maxPrice = parseFloat(params.maxPrice);
+
+  const fallback = near ? 'distance' : (text ? 'relevance' : 'newest');
+  let sort = SORTS[params.sort] ? params.sort : fallback;
+  // Relevance needs a text query and can't be combined with a radius
+  // search; distance needs a point
+  if ((sort === 'relevance' && (!text || near)) || (sort === 'distance' && !near)) {
+    sort = fallback;
+  }
+
+  return {
+    text,
+    sort,
+    near,
+    radiusKm: Number.isFinite(radiusKm) && radiusKm > 0 ? Math.min(radiusKm, MAX_RADIUS_KM) : DEFAULT_RADIUS_KM,
+    category: textParam(params.category),
+    size: textParam(params.size),
+    color: textParam(params.color),
+    location: textParam(params.location),
+    minPrice: Number.isFinite(minPrice) ? minPrice : null,
+    maxPrice: Number.isFinite(maxPrice) ? maxPrice : null
+  };
+};
+
+// parseSearchParams plus what needs the category taxonomy: the category's
+// subcategories and ?attributes[key]= filters. Throws CategoryError.
+const resolveSearchFilters = async (params) => {
+  const filters = parseSearchParams(params);
+  filters.categories = filters.category ? await subtreeSlugs(filters.category) : null;
+  filters.attributes = await parseAttributeFilters(filters.category, params.attributes);
+  return filters;
+};
+
+// Attribute filters as a $match on the listing's attributes map
+const attributeMatch = (attributes) => Object.fromEntries(
+  Object.entries(attributes || {}).map(([key, filter]) => {
+    if (!Array.isArray(filter)) {
+      const range = {};
+      if (filter.min != null) range.$gte = filter.min;
+      if (filter.max != null) range.$lte = filter.max;
+      return [`attributes.${key}`, range];
+    }
+    const accepted = filter.map(value => (
+      typeof value === 'string' ? new RegExp(`^${escapeRegex(value)}$`, 'i') : value
+    ));
+    return [`attributes.${key}`, { $in: accepted }];
+  })
+);
+
+// Opening stages: a radius search with $geoNear, or a plain $match
+const matchStages = async (filters, shared) => {
+  if (!filters.near) {
+    if (filters.text) shared.$text = { $search: filters.text };
+    return [
+      { $match: shared },
+      ...(filters.text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : [])
+    ];
+  }
+
+  // $geoNear must come first and can't take $text, so a text query is
+  // resolved to the matching ids beforehand
+  if (filters.text) {
+    shared._id = { $in: await Product.distinct('_id', { ...shared, $text: { $search: filters.text } }) };
+  }
+  return [
+    {
+      $geoNear: {
+        near: filters.near,
+        key: 'publicGeo',
+        distanceField: 'distance',
+        maxDistance: filters.radiusKm * 1000,
+        spherical: true,
+        query: shared
+      }
+    },
+    { $addFields: { distanceKm: { $round: [{ $divide: ['$distance', 1000] }, 0] } } }
+  ];
+};
+
+// MongoDB backend: $text search on the product_text index, $geoNear on publicGeo
+const mongoSearch = async (filters, { hideFields = [], limit, cursor, includeTotal }) => {
+  const shared = {
+    status: 'approved',
+    isActive: true,
+    soldAt: { $exists: false } // Exclude sold items
+  };
+  if (filters.size) shared.size = new RegExp(`^${escapeRegex(filters.size)}$`, 'i');
+  if (filters.color) shared.color = new RegExp(`^${escapeRegex(filters.color)}$`, 'i');
+  if (filters.location) shared.location = new RegExp(escapeRegex(filters.location), 'i');
+
+  // Facets ignore their own filter so the sidebar still lists alternatives.
+  // Attribute filters belong to the category, so they go with it.
+  const categoryFilter = filters.categories
+    ? { category: { $in: filters.categories }, ...attributeMatch(filters.attributes) }
+    : {};
+  const priceFilter = {};
+  if (filters.minPrice !== null || filters.maxPrice !== null) {
+    priceFilter.price = {};
+    if (filters.minPrice !== null) priceFilter.price.$gte = filters.minPrice;
+    if (filters.maxPrice !== null) priceFilter.price.$lte = filters.maxPrice;
+  }
+  const fullFilter = { ...categoryFilter, ...priceFilter };
+
+  const sort = SORTS[filters.sort];
+  const results = [
+    { $match: fullFilter },
+    { $match: cursorFilter(cursor, sort) },
+    { $sort: sort },
+    { $limit: limit + 1 }
+  ];
+  // The exact distance in metres is never returned
+  const hidden = filters.near ? [...hideFields, 'distance'] : hideFields;
+  if (hidden.length > 0) {
+    results.push({ $project: Object.fromEntries(hidden.map(field => [field, 0])) });
+  }
+
+  const [facetResult] = await Product.aggregate([
+    ...await matchStages(filters, shared),
+    {
+      $facet: {
+        results,
+        ...(includeTotal ? { total: [{ $match: fullFilter }, { $count: 'count' }] } : {}),
+        categories: [
+          { $match: priceFilter },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        priceRanges: [
+          { $match: categoryFilter },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'over',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  // Aggregation returns plain objects, so image URLs and coordinates are
+  // prepared for clients here
+  const products = await Product.populate(
+    facetResult.results.map(Product.toClient),
+    { path: 'seller', select: 'name email rating' }
+  );
+  const page = buildPage(products, {
+    limit,
+    sort,
+    total: includeTotal ? facetResult.total[0]?.count || 0 : undefined
+  });
+
+  return {
+    ...page,
+    facets: {
+      categories: facetResult.categories.map(({ _id, count }) => ({ value: _id, count })),
+      priceRanges: facetResult.priceRanges.map(({ _id, count }) => {
+        if (_id === 'over') {
+          return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count };
+        }
+        const index = PRICE_BUCKETS.indexOf(_id);
+        return { min: _id, max: PRICE_BUCKETS[index + 1], count };
+      })
+    }
+  };
+};
+
+// Search backends keyed by SEARCH_BACKEND. Each receives resolved filters
+// plus page options ({ limit, cursor, includeTotal, hideFields }) and
+// resolves to { items, pageInfo, facets }.
+const backends = {
+  mongo: mongoSearch
+};
+
+const searchProducts = async (params, options) => {
+  const name = process.env.SEARCH_BACKEND || 'mongo';
+  if (!backends[name]) {
+    throw new Error(`Unknown search backend "${name}"`);
+  }
+  return backends[name](await resolveSearchFilters(params), options);
+};
+
+module.exports = {
+  SORTS,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  parseSearchParams,
+  resolveSearchFilters,
+  searchProducts
+};
@@ -0,0 +1,91 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+// Every driver implements:
+//   put(key, buffer, contentType) -> key
+//   get(key) -> Buffer
+//   delete(key)
+//   url(key) -> URL a client can load (signed if the driver is private)
+//   signedUrl(key, expiresIn) -> URL valid for expiresIn seconds
+// STORAGE_DRIVER picks one: local (default) or s3.
+const drivers = {
+  local: () => new LocalStorage({
+    directory: path.join(__dirname, '..', '..', 'uploads'),
+    signingSecret: process.env.JWT_SECRET,
+    requireSignature: process.env.LOCAL_STORAGE_SIGNED_URLS === 'true'
+  }),
+  s3: () => new S3Storage({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL,
+    signedUrls: process.env.S3_SIGNED_URLS === 'true',
+    signedUrlTtl: parseInt(process.env.S3_SIGNED_URL_TTL, 10) || 3600
+  })
+};
+
+let storage;
+let legacyStorage;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+// Swap the driver, e.g. to use a temporary directory in tests
+const setStorage = (instance) => {
+  storage = instance;
+};
+
+// Files uploaded before storage drivers existed live on the local disk and
+// are stored as "/uploads/<file>" paths until the migration moves them
+const LEGACY_PREFIX = '/uploads/';
+
+const isLegacyPath = (value) => typeof value === 'string' && value.startsWith(LEGACY_PREFIX);
+
+const getLegacyStorage = () => {
+  if (!legacyStorage) {
+    legacyStorage = drivers.local();
+  }
+  return legacyStorage;
+};
+
+// Turn a stored image reference (key or legacy path) into a client URL
+const resolveUrl = (value) => {
+  if (!value || /^https?:\/\//.test(value)) return value;
+  if (isLegacyPath(value)) {
+    return getLegacyStorage().url(value.slice(LEGACY_PREFIX.length));
+  }
+  return getStorage().url(value);
+};
+
+// Delete a stored image reference, wherever it lives
+const removeFile = async (value) => {
+  if (!value) return;
+  if (isLegacyPath(value)) {
+    return getLegacyStorage().delete(value.slice(LEGACY_PREFIX.length));
+  }
+  return getStorage().delete(value);
+};
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  getStorage,
+  setStorage,
+  getLegacyStorage,
+  isLegacyPath,
+  LEGACY_PREFIX,
+  resolveUrl,
+  removeFile
+};
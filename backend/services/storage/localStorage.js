@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+// Stores files on the local disk under one directory, served at urlPrefix.
+// Only suitable for a single backend instance.
+class LocalStorage {
+  constructor({ directory, urlPrefix = '/uploads', signingSecret, requireSignature = false }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.urlPrefix = urlPrefix;
+    this.signingSecret = signingSecret;
+    this.requireSignature = requireSignature;
+  }
+
+  // Resolve a key to a path inside the storage directory
+  filePath(key) {
+    const resolved = path.resolve(this.directory, key);
+    if (!resolved.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return resolved;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.filePath(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  url(key) {
+    return this.requireSignature ? this.signedUrl(key) : `${this.urlPrefix}/${key}`;
+  }
+
+  signature(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  signedUrl(key, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.urlPrefix}/${key}?expires=${expires}&signature=${this.signature(key, expires)}`;
+  }
+
+  // Express middleware serving the stored files, checking signatures if required
+  serve() {
+    const serveStatic = express.static(this.directory);
+    return (req, res, next) => {
+      if (this.requireSignature) {
+        let key;
+        try {
+          key = decodeURIComponent(req.path.replace(/^\//, ''));
+        } catch (error) {
+          // A malformed escape like %E0 can't name a stored file
+          return res.status(404).json({ success: false, message: 'File not found' });
+        }
+        const expires = parseInt(req.query.expires, 10);
+        const expected = Buffer.from(this.signature(key, expires));
+        const received = Buffer.from(String(req.query.signature || ''));
+        const valid = expires > Date.now() / 1000 && expected.length === received.length
+          && crypto.timingSafeEqual(expected, received);
+        if (!valid) {
+          return res.status(403).json({ success: false, message: 'Invalid or expired link' });
+        }
+      }
+      serveStatic(req, res, next);
+    };
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by AWS Signature Version 4
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Stores files in any S3-compatible bucket (AWS S3, MinIO, ...). Requests
+// are signed with AWS Signature Version 4, so no SDK is needed.
+class S3Storage {
+  constructor({
+    endpoint,
+    region = 'us-east-1',
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = false,
+    publicUrl,
+    signedUrls = false,
+    signedUrlTtl = 3600
+  }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs an endpoint, bucket and credentials');
+    }
+    this.name = 's3';
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.publicUrl = publicUrl;
+    this.signedUrls = signedUrls;
+    this.signedUrlTtl = signedUrlTtl;
+  }
+
+  // Host and path of an object, path-style for MinIO, virtual-hosted otherwise
+  location(key) {
+    const encodedKey = key.split('/').map(encode).join('/');
+    if (this.forcePathStyle) {
+      return { host: this.endpoint.host, path: `/${this.bucket}/${encodedKey}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: `/${encodedKey}` };
+  }
+
+  signingKey(date) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, date);
+    return hmac(hmac(hmac(dateKey, this.region), 's3'), 'aws4_request');
+  }
+
+  // Build the signature for a canonical request
+  sign({ method, path, query, headers, payloadHash, amzDate }) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+    );
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      path,
+      canonicalQuery,
+      headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      signature: crypto.createHmac('sha256', this.signingKey(date)).update(stringToSign).digest('hex')
+    };
+  }
+
+  amzDate() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  async request(method, key, { body, contentType } = {}) {
+    const { host, path } = this.location(key);
+    const amzDate = this.amzDate();
+    const payloadHash = sha256(body || '');
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const { scope, signedHeaders, signature } = this.sign({
+      method, path, query: {}, headers, payloadHash, amzDate
+    });
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    delete headers.host;
+
+    const response = await fetch(`${this.endpoint.protocol}//${host}${path}`, { method, headers, body });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed with status ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  }
+
+  async put(key, buffer, contentType = 'application/octet-stream') {
+    await this.request('PUT', key, { body: buffer, contentType });
+    return key;
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  // Presigned GET URL, valid for expiresIn seconds
+  signedUrl(key, expiresIn = this.signedUrlTtl) {
+    const { host, path } = this.location(key);
+    const amzDate = this.amzDate();
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const { signature } = this.sign({
+      method: 'GET', path, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate
+    });
+    const queryString = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+    return `${this.endpoint.protocol}//${host}${path}?${queryString}&X-Amz-Signature=${signature}`;
+  }
+
+  url(key) {
+    if (this.signedUrls) return this.signedUrl(key);
+    if (this.publicUrl) return `${this.publicUrl.replace(/\/$/, '')}/${key}`;
+    const { host, path } = this.location(key);
+    return `${this.endpoint.protocol}//${host}${path}`;
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,115 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+const SuspensionLog = require('../models/SuspensionLog');
+const { revokeAllSessions } = require('./tokens');
+const { notifyCartHoldersQuietly, closeStreams } = require('./notifications');
+
+// Take every live listing of a seller down, marking it so it can be restored
+const hideListings = async (sellerId, at) => {
+  const listings = await Product.find({ seller: sellerId, isActive: true, status: { $ne: 'sold' } })
+    .select('name status');
+  await Product.updateMany(
+    { _id: { $in: listings.map(product => product._id) } },
+    { $set: { isActive: false, hiddenBySuspensionAt: at } }
+  );
+
+  const approved = listings.filter(product => product.status === 'approved');
+  if (approved.length > 0) {
+    notifyCartHoldersQuietly(approved, { reason: 'has been taken down' });
+  }
+  return listings.length;
+};
+
+// Bring back the listings hidden by a suspension. Ones also hidden because
+// of reports stay down until a moderator looks at them.
+const restoreListings = async (sellerId) => {
+  const restored = await Product.updateMany(
+    { seller: sellerId, hiddenBySuspensionAt: { $exists: true }, hiddenByReportsAt: { $exists: false } },
+    { $set: { isActive: true }, $unset: { hiddenBySuspensionAt: 1 } }
+  );
+  await Product.updateMany(
+    { seller: sellerId, hiddenBySuspensionAt: { $exists: true } },
+    { $unset: { hiddenBySuspensionAt: 1 } }
+  );
+  return restored.modifiedCount;
+};
+
+// Suspend a user until `until`, or permanently without it. Their sessions
+// end immediately and their listings are hidden.
+const suspendUser = async ({ user, actor, reason, until = null }) => {
+  const at = new Date();
+  user.suspension = {
+    reason,
+    until: until || undefined,
+    suspendedBy: actor,
+    suspendedAt: at
+  };
+  await user.save();
+
+  await revokeAllSessions(user._id, 'user_suspended');
+  // End live notification streams here right away; streams held by other
+  // instances end at their next heartbeat, once they see the revoked session
+  closeStreams(user._id, 'account_suspended');
+  const listings = await hideListings(user._id, at);
+
+  await SuspensionLog.create({
+    user: user._id,
+    actor,
+    action: 'suspend',
+    reason,
+    until: until || undefined,
+    listings,
+    at
+  });
+  return { listings };
+};
+
+// Lift a suspension, by an admin (actor set) or because it ran out
+const unsuspendUser = async ({ user, actor, note }) => {
+  user.suspension = undefined;
+  await user.save();
+
+  const listings = await restoreListings(user._id);
+
+  await SuspensionLog.create({
+    user: user._id,
+    actor,
+    action: actor ? 'unsuspend' : 'expire',
+    note: note?.trim() || '',
+    listings
+  });
+  return { listings };
+};
+
+// Keep the suspended user's appeal on the account for admins to read
+const recordAppeal = async (user, note) => {
+  user.suspension.appealNote = note.trim();
+  user.suspension.appealedAt = new Date();
+  await user.save();
+
+  await SuspensionLog.create({
+    user: user._id,
+    actor: user._id,
+    action: 'appeal',
+    note: note.trim()
+  });
+};
+
+// Lift every temporary suspension whose end date has passed
+const liftExpiredSuspensions = async (now = new Date()) => {
+  const users = await User.find({
+    'suspension.suspendedAt': { $exists: true },
+    'suspension.until': { $lte: now }
+  });
+  for (const user of users) {
+    await unsuspendUser({ user });
+  }
+  return users.length;
+};
+
+module.exports = {
+  suspendUser,
+  unsuspendUser,
+  recordAppeal,
+  liftExpiredSuspensions
+};
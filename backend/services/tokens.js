@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Raised when a refresh token can't be used
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id, isAdmin: user.isAdmin, sid: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the hash of the
+// secret is stored
+const newRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+// Start a new session for a user and return its first token pair
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw new TokenError('Session has expired or been revoked');
+  }
+
+  const presentedHash = hashToken(secret);
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    // An old token was replayed: assume it was stolen and kill the family
+    await revokeSession(session._id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token reuse detected, please log in again');
+  }
+  if (presentedHash !== session.tokenHash) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'user_not_found');
+    throw new TokenError('User not found');
+  }
+  if (user.isSuspended()) {
+    await revokeSession(session._id, 'user_suspended');
+    throw new TokenError(user.suspensionMessage());
+  }
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const nextSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: { $exists: false } },
+    {
+      $set: { tokenHash: hashToken(nextSecret), lastUsedAt: new Date() },
+      $push: { previousTokenHashes: presentedHash }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token reuse detected, please log in again');
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${nextSecret}`
+  };
+};
+
+// Whether the session behind an access token is still usable
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session && session.isActive());
+};
+
+// Lifetime of one-time tokens, per purpose
+const ONE_TIME_TOKEN_TTL = {
+  verify_email: 24 * 60 * 60,
+  reset_password: 60 * 60
+};
+
+// Issue a signed, expiring, single-use token for a user
+const issueOneTimeToken = async (user, purpose) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const ttl = ONE_TIME_TOKEN_TTL[purpose];
+
+  await UserToken.create({
+    jti,
+    user: user._id,
+    purpose,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return jwt.sign({ sub: user._id.toString(), purpose }, process.env.JWT_SECRET, {
+    expiresIn: ttl,
+    jwtid: jti
+  });
+};
+
+// Verify a one-time token and mark it used. Returns the user id.
+const consumeOneTimeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new TokenError('Invalid or expired token');
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new TokenError('Invalid or expired token');
+  }
+
+  const record = await UserToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!record) {
+    throw new TokenError('This link has already been used');
+  }
+
+  return record.user;
+};
+
+// Invalidate outstanding tokens, e.g. older reset links after a reset
+const revokeOneTimeTokens = async (userId, purpose) => {
+  await UserToken.updateMany(
+    { user: userId, purpose, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+module.exports = {
+  TokenError,
+  issueOneTimeToken,
+  consumeOneTimeToken,
+  revokeOneTimeTokens,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
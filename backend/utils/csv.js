@@ -0,0 +1,18 @@
+// Quote a value for CSV (RFC 4180). Dates are written as ISO strings.
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Leading =, +, - or @ would run as a formula when opened in a spreadsheet
+  const safe = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Turn rows of objects into CSV text. `columns` picks and orders the keys.
+const toCsv = (rows, columns) => [
+  columns.map(csvValue).join(','),
+  ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  toCsv
+};
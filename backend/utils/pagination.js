@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields stored as dates or ids in a cursor; everything else is kept as is
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'soldAt', 'at'];
+
+// Raised when a client sends a cursor we can't decode
+class CursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+// Read ?limit, ?cursor and ?includeTotal from a request query
+const parsePageParams = (query = {}) => {
+  const limit = parseInt(query.limit, 10);
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+    cursor: query.cursor || null,
+    includeTotal: query.includeTotal === 'true'
+  };
+};
+
+// A cursor holds the sort key values of the last item of a page. The sort
+// must end with _id so every position is unique.
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(field => doc[field]);
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  const fields = Object.keys(sort);
+  if (!Array.isArray(values) || values.length !== fields.length) {
+    return null;
+  }
+
+  return fields.map((field, i) => {
+    if (field === '_id') {
+      return mongoose.Types.ObjectId.isValid(values[i]) ? new mongoose.Types.ObjectId(values[i]) : null;
+    }
+    if (DATE_FIELDS.includes(field)) {
+      return values[i] === null ? null : new Date(values[i]);
+    }
+    return values[i];
+  });
+};
+
+// Filter matching everything after the cursor position. For sort
+// { a: -1, _id: -1 } that is: a < A, or a == A and _id < ID.
+const cursorFilter = (cursor, sort) => {
+  if (!cursor) return {};
+
+  const values = decodeCursor(cursor, sort);
+  if (!values || values.some(value => value === null || value === undefined)) {
+    throw new CursorError();
+  }
+
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) {
+        clause[fields[j]] = values[j];
+      }
+      clause[field] = { [sort[field] === 1 ? '$gt' : '$lt']: values[i] };
+      return clause;
+    })
+  };
+};
+
+// Turn one extra fetched item into hasMore / nextCursor
+const buildPage = (docs, { limit, sort, total }) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const pageInfo = {
+    limit,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+  };
+  if (total !== undefined) {
+    pageInfo.total = total;
+  }
+  return { items, pageInfo };
+};
+
+// Paginate a find() query. `prepare` can add select/populate to the query.
+const paginate = async (Model, filter, { sort, limit, cursor, includeTotal, prepare = query => query }) => {
+  const query = Model.find({ $and: [filter, cursorFilter(cursor, sort)] })
+    .sort(sort)
+    .limit(limit + 1);
+
+  const [docs, total] = await Promise.all([
+    prepare(query),
+    includeTotal ? Model.countDocuments(filter) : undefined
+  ]);
+
+  return buildPage(docs, { limit, sort, total });
+};
+
+module.exports = {
+  CursorError,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageParams,
+  encodeCursor,
+  cursorFilter,
+  buildPage,
+  paginate
+};